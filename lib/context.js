@@ -0,0 +1,218 @@
+/**
+ * Purpose: Prefix contexts for turning identifiers into a consistent
+ * form--either CURIEs (e.g. "GO:0003674") or full IRIs (e.g.
+ * "http://purl.obolibrary.org/obo/GO_0003674").
+ *
+ * This module includes the following objects:
+ *  - prefix_context
+ *  - default_prefixes
+ *
+ * @module minerva-requests/context
+ */
+
+var us = require('underscore');
+var each = us.each;
+
+/**
+ * The default prefix map, covering the OBO ontologies and other
+ * identifiers commonly used in GO models.
+ *
+ * @name default_prefixes
+ * @memberof module:minerva-requests/context
+ */
+var default_prefixes = {
+    'obo': 'http://purl.obolibrary.org/obo/',
+    'GO': 'http://purl.obolibrary.org/obo/GO_',
+    'RO': 'http://purl.obolibrary.org/obo/RO_',
+    'BFO': 'http://purl.obolibrary.org/obo/BFO_',
+    'ECO': 'http://purl.obolibrary.org/obo/ECO_',
+    'CHEBI': 'http://purl.obolibrary.org/obo/CHEBI_',
+    'CL': 'http://purl.obolibrary.org/obo/CL_',
+    'UBERON': 'http://purl.obolibrary.org/obo/UBERON_',
+    'SO': 'http://purl.obolibrary.org/obo/SO_',
+    'PR': 'http://purl.obolibrary.org/obo/PR_',
+    'NCBITaxon': 'http://purl.obolibrary.org/obo/NCBITaxon_',
+    'UniProtKB': 'http://identifiers.org/uniprot/',
+    'gomodel': 'http://model.geneontology.org/'
+};
+
+/**
+ * Contructor for a prefix context: a map of prefixes to the IRI
+ * namespaces they stand for.
+ *
+ * Identifiers can be put into either "curie" or "iri" form. Anything
+ * that is not a CURIE with a known prefix or an IRI in a known
+ * namespace (e.g. variables or free text) is left as it is. When
+ * contracting, the longest matching namespace wins, so that
+ * "obo:GO_0003674" becomes "GO:0003674".
+ *
+ * @constructor
+ * @param {Object} [prefixes] - map of prefixes to namespaces (default: {module:minerva-requests/context.default_prefixes})
+ * @returns {prefix_context} prefix context object
+ */
+var prefix_context = function(prefixes){
+    var anchor = this;
+    anchor._is_a = 'minerva-requests.prefix_context';
+
+    anchor._prefixes = {};
+
+    /**
+     * Add (or replace) a prefix.
+     *
+     * @alias module:minerva-requests/context~prefix_context#add_prefix
+     * @function
+     * @memberof module:minerva-requests/context~prefix_context
+     * @param {String} prefix - the prefix, without the colon
+     * @param {String} namespace - the IRI namespace it stands for
+     * @returns {prefix_context} current context, modified; suitable for chaining
+     */
+    anchor.add_prefix = function(prefix, namespace){
+	if( ! us.isString(prefix) || prefix === '' ||
+	    ! us.isString(namespace) || namespace === '' ){
+	    throw new Error('a prefix needs a name and a namespace');
+	}
+	anchor._prefixes[prefix] = namespace;
+	return anchor;
+    };
+
+    /**
+     * The map of prefixes to namespaces.
+     *
+     * @alias module:minerva-requests/context~prefix_context#prefixes
+     * @function
+     * @memberof module:minerva-requests/context~prefix_context
+     * @returns {Object} copy of the prefix map
+     */
+    anchor.prefixes = function(){
+	return us.clone(anchor._prefixes);
+    };
+
+    /**
+     * Expand a CURIE with a known prefix into an IRI.
+     *
+     * @alias module:minerva-requests/context~prefix_context#expand
+     * @function
+     * @memberof module:minerva-requests/context~prefix_context
+     * @param {String} id - identifier
+     * @returns {String} IRI, or the identifier as it was
+     */
+    anchor.expand = function(id){
+	var ret = id;
+	if( us.isString(id) && ! /\s/.test(id) ){
+	    var colon = id.indexOf(':');
+	    if( colon > 0 ){
+		var prefix = id.substr(0, colon);
+		var local = id.substr(colon + 1);
+		if( us.has(anchor._prefixes, prefix) &&
+		    local !== '' && local.indexOf('//') !== 0 ){
+		    ret = anchor._prefixes[prefix] + local;
+		}
+	    }
+	}
+	return ret;
+    };
+
+    /**
+     * Contract an IRI in a known namespace (or a CURIE that expands
+     * to one) into a CURIE, using the longest matching namespace.
+     *
+     * @alias module:minerva-requests/context~prefix_context#contract
+     * @function
+     * @memberof module:minerva-requests/context~prefix_context
+     * @param {String} id - identifier
+     * @returns {String} CURIE, or the identifier as it was
+     */
+    anchor.contract = function(id){
+	var ret = id;
+	var iri = anchor.expand(id);
+	if( us.isString(iri) && ! /\s/.test(iri) ){
+	    var best = null;
+	    each(anchor._prefixes, function(namespace, prefix){
+		if( iri.indexOf(namespace) === 0 &&
+		    iri.length > namespace.length &&
+		    ( ! best || namespace.length > best[1].length ) ){
+		    best = [prefix, namespace];
+		}
+	    });
+	    if( best ){
+		ret = best[0] + ':' + iri.substr(best[1].length);
+	    }
+	}
+	return ret;
+    };
+
+    /**
+     * Put an identifier into the given form.
+     *
+     * @alias module:minerva-requests/context~prefix_context#normalize
+     * @function
+     * @memberof module:minerva-requests/context~prefix_context
+     * @param {String} id - identifier
+     * @param {String} [form] - 'curie' or 'iri' (default 'curie')
+     * @returns {String} identifier
+     */
+    anchor.normalize = function(id, form){
+	var ret = null;
+	if( ! form || form === 'curie' ){
+	    ret = anchor.contract(id);
+	}else if( form === 'iri' ){
+	    ret = anchor.expand(anchor.contract(id));
+	}else{
+	    throw new Error('unknown identifier form: ' + form);
+	}
+	return ret;
+    };
+
+    /**
+     * Put all of the identifiers in a class expression structure
+     * (i.e. from class_expression#structure) into the given form.
+     *
+     * @alias module:minerva-requests/context~prefix_context#normalize_expression
+     * @function
+     * @memberof module:minerva-requests/context~prefix_context
+     * @param {Object} expr - class expression structure
+     * @param {String} [form] - 'curie' or 'iri' (default 'curie')
+     * @returns {Object} new class expression structure
+     */
+    anchor.normalize_expression = function(expr, form){
+	var ret = expr;
+	if( expr && us.isObject(expr) && ! us.isArray(expr) ){
+	    ret = us.clone(expr);
+	    if( us.isString(ret['id']) ){
+		ret['id'] = anchor.normalize(ret['id'], form);
+	    }
+	    if( ret['property'] ){
+		ret['property'] = anchor.normalize_expression(ret['property'],
+							       form);
+	    }
+	    if( ret['filler'] ){
+		ret['filler'] = anchor.normalize_expression(ret['filler'], form);
+	    }
+	    if( us.isArray(ret['expressions']) ){
+		ret['expressions'] = us.map(ret['expressions'], function(e){
+		    return anchor.normalize_expression(e, form);
+		});
+	    }
+	}
+	return ret;
+    };
+
+    // Initial prefixes.
+    if( typeof(prefixes) === 'undefined' || prefixes === null ){
+	prefixes = default_prefixes;
+    }
+    each(prefixes, function(namespace, prefix){
+	anchor.add_prefix(prefix, namespace);
+    });
+};
+
+///
+/// Exportable body.
+///
+
+module.exports = {
+
+    'prefix_context': prefix_context,
+    'default_prefixes': default_prefixes
+
+};
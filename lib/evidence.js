@@ -0,0 +1,261 @@
+/**
+ * Purpose: Evidence values, to be attached to individuals and facts
+ * with request_set#add_evidence and friends.
+ *
+ * This module includes the following objects:
+ *  - evidence
+ *  - usable_reference_p
+ *  - evidence_problems
+ *  - date_string
+ *
+ * @module minerva-requests/evidence
+ */
+
+var us = require('underscore');
+var each = us.each;
+
+// Acceptable reference syntax, by prefix.
+var reference_patterns = {
+    'PMID': /^PMID:\d+$/,
+    'GO_REF': /^GO_REF:\d{7}$/,
+    'DOI': /^DOI:10\.\d{4,}\/\S+$/,
+    'Reactome': /^Reactome:R-[A-Z]{3}-\d+$/
+};
+
+/**
+ * Whether a reference (e.g. "PMID:12345") is in a form that evidence
+ * values accept: PMID:, GO_REF:, DOI:, or Reactome:.
+ *
+ * @function
+ * @memberof module:minerva-requests/evidence
+ * @param {String} ref - the reference
+ * @returns {Boolean} boolean
+ */
+function usable_reference_p(ref){
+    var prefix = us.isString(ref) ? ref.split(':')[0] : null;
+    return us.has(reference_patterns, prefix) &&
+	reference_patterns[prefix].test(ref);
+}
+
+// Strings or lists of strings to lists.
+function _listify(thing){
+    var ret = [];
+    if( us.isString(thing) ){
+	ret = [thing];
+    }else if( us.isArray(thing) ){
+	ret = thing.slice();
+    }
+    return ret;
+}
+
+/**
+ * A Date to a YYYY-MM-DD string, as used for "date" annotations;
+ * anything else is returned as it is.
+ *
+ * @function
+ * @memberof module:minerva-requests/evidence
+ * @param {Date|String} date - the date
+ * @returns {String} string
+ */
+function date_string(date){
+    var ret = date;
+    if( us.isDate(date) ){
+	var _pad = function(n){ return n < 10 ? '0' + n : '' + n; };
+	ret = [date.getFullYear(), _pad(date.getMonth() + 1),
+	       _pad(date.getDate())].join('-');
+    }
+    return ret;
+}
+
+/**
+ * The problems with some arguments for an evidence value (see
+ * {module:minerva-requests/evidence~evidence}). Only the "code",
+ * "sources", and "date" arguments that are present are checked, so
+ * that a partial set of changes can be checked on its own.
+ *
+ * @function
+ * @memberof module:minerva-requests/evidence
+ * @param {Object} args - evidence arguments
+ * @returns {Array} list of strings; empty if none
+ */
+function evidence_problems(args){
+
+    var problems = [];
+    if( us.has(args, 'code') ){
+	var code = args['code'] || null;
+	if( ! us.isString(code) || ! /^ECO:\d{7}$/.test(code) ){
+	    problems.push('not an ECO class: ' + code);
+	}
+    }
+    if( us.has(args, 'sources') ){
+	var sources = _listify(args['sources']);
+	if( us.isEmpty(sources) ){
+	    problems.push('no references');
+	}
+	each(sources, function(src){
+	    if( ! usable_reference_p(src) ){
+		problems.push('not a usable reference: ' + src);
+	    }
+	});
+    }
+    if( us.has(args, 'date') ){
+	var date = date_string(args['date'] || null);
+	if( date !== null && ( ! us.isString(date) ||
+			       ! /^\d{4}-\d{2}-\d{2}$/.test(date) ) ){
+	    problems.push('not a YYYY-MM-DD date: ' + date);
+	}
+    }
+    return problems;
+}
+
+/**
+ * Contructor for an evidence value.
+ *
+ * The possible arguments are:
+ *  code - an ECO class id (e.g. "ECO:0000314")
+ *  sources - string or list of strings; references (PMID:, GO_REF:, DOI:, or Reactome:)
+ *  with - *[optional]* string or list of strings; with/from
+ *  contributor - *[optional]* string; who made the statement (e.g. an ORCID)
+ *  date - *[optional]* Date or string (YYYY-MM-DD)
+ *  comment - *[optional]* string
+ *
+ * Throws an error listing the problems if the arguments are not
+ * acceptable.
+ *
+ * @constructor
+ * @param {Object} args - see above
+ * @returns {evidence} evidence object
+ */
+var evidence = function(args){
+    var anchor = this;
+    anchor._is_a = 'minerva-requests.evidence';
+
+    args = args || {};
+
+    anchor._code = args['code'] || null;
+    anchor._sources = _listify(args['sources']);
+    anchor._with = _listify(args['with']);
+    anchor._contributor = args['contributor'] || null;
+    anchor._date = date_string(args['date'] || null);
+    anchor._comment = args['comment'] || null;
+
+    // Check everything.
+    var problems = evidence_problems({
+	'code': anchor._code,
+	'sources': anchor._sources,
+	'date': anchor._date
+    });
+    if( ! us.isEmpty(problems) ){
+	throw new Error('bad evidence: ' + problems.join('; '));
+    }
+
+    /**
+     * The ECO class.
+     *
+     * @alias module:minerva-requests/evidence~evidence#code
+     * @function
+     * @memberof module:minerva-requests/evidence~evidence
+     * @returns {String} string
+     */
+    anchor.code = function(){
+	return anchor._code;
+    };
+
+    /**
+     * The references.
+     *
+     * @alias module:minerva-requests/evidence~evidence#sources
+     * @function
+     * @memberof module:minerva-requests/evidence~evidence
+     * @returns {Array} list of strings
+     */
+    anchor.sources = function(){
+	return anchor._sources.slice();
+    };
+
+    /**
+     * The with/from.
+     *
+     * @alias module:minerva-requests/evidence~evidence#with_from
+     * @function
+     * @memberof module:minerva-requests/evidence~evidence
+     * @returns {Array} list of strings
+     */
+    anchor.with_from = function(){
+	return anchor._with.slice();
+    };
+
+    /**
+     * The contributor.
+     *
+     * @alias module:minerva-requests/evidence~evidence#contributor
+     * @function
+     * @memberof module:minerva-requests/evidence~evidence
+     * @returns {String|null} string or null
+     */
+    anchor.contributor = function(){
+	return anchor._contributor;
+    };
+
+    /**
+     * The date, as YYYY-MM-DD.
+     *
+     * @alias module:minerva-requests/evidence~evidence#date
+     * @function
+     * @memberof module:minerva-requests/evidence~evidence
+     * @returns {String|null} string or null
+     */
+    anchor.date = function(){
+	return anchor._date;
+    };
+
+    /**
+     * The comment.
+     *
+     * @alias module:minerva-requests/evidence~evidence#comment
+     * @function
+     * @memberof module:minerva-requests/evidence~evidence
+     * @returns {String|null} string or null
+     */
+    anchor.comment = function(){
+	return anchor._comment;
+    };
+
+    /**
+     * The annotations that go on the evidence individual: "source",
+     * "with", "contributor", "date", and "comment".
+     *
+     * @alias module:minerva-requests/evidence~evidence#annotations
+     * @function
+     * @memberof module:minerva-requests/evidence~evidence
+     * @returns {Array} list of objects with "key" and "value"
+     */
+    anchor.annotations = function(){
+	var anns = [];
+	each(anchor._sources, function(src){
+	    anns.push({'key': 'source', 'value': src});
+	});
+	each(anchor._with, function(w){
+	    anns.push({'key': 'with', 'value': w});
+	});
+	each(['contributor', 'date', 'comment'], function(key){
+	    if( anchor['_' + key] !== null ){
+		anns.push({'key': key, 'value': anchor['_' + key]});
+	    }
+	});
+	return anns;
+    };
+};
+
+///
+/// Exportable body.
+///
+
+module.exports = {
+
+    'evidence': evidence,
+    'usable_reference_p': usable_reference_p,
+    'evidence_problems': evidence_problems,
+    'date_string': date_string
+
+};
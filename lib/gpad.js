@@ -0,0 +1,391 @@
+/**
+ * Purpose: Reading standard GO annotations from GPAD 2.0 and GAF
+ * 2.1/2.2 files and turning them into request sets that build GO-CAM
+ * models.
+ *
+ * This module includes the following objects:
+ *  - parse
+ *  - read_file
+ *  - convert
+ *  - eco_codes
+ *  - qualifier_relations
+ *
+ * Parsed annotations are simple objects with the properties: "line"
+ * (line number in the file), "gene_product" (CURIE), "symbol",
+ * "negated" (boolean), "relation" (relation id), "term" (GO id),
+ * "aspect" ('F', 'P', 'C', or null), "references" (list),
+ * "evidence_code" (ECO id), "with" (string or null), "taxon"
+ * (NCBITaxon CURIE or null), "date" (YYYY-MM-DD or null), and
+ * "assigned_by". Problems are objects with "line" and "message".
+ *
+ * @module minerva-requests/gpad
+ */
+
+var us = require('underscore');
+var each = us.each;
+var evidence = require('./evidence');
+
+/**
+ * The GAF evidence codes and the ECO classes they map to.
+ *
+ * @name eco_codes
+ * @memberof module:minerva-requests/gpad
+ */
+var eco_codes = {
+    'EXP': 'ECO:0000269',
+    'IDA': 'ECO:0000314',
+    'IPI': 'ECO:0000353',
+    'IMP': 'ECO:0000315',
+    'IGI': 'ECO:0000316',
+    'IEP': 'ECO:0000270',
+    'HTP': 'ECO:0006056',
+    'HDA': 'ECO:0007005',
+    'HMP': 'ECO:0007001',
+    'HGI': 'ECO:0007003',
+    'HEP': 'ECO:0007007',
+    'ISS': 'ECO:0000250',
+    'ISO': 'ECO:0000266',
+    'ISA': 'ECO:0000247',
+    'ISM': 'ECO:0000255',
+    'IGC': 'ECO:0000317',
+    'IBA': 'ECO:0000318',
+    'IBD': 'ECO:0000319',
+    'IKR': 'ECO:0000320',
+    'IRD': 'ECO:0000321',
+    'RCA': 'ECO:0000245',
+    'TAS': 'ECO:0000304',
+    'NAS': 'ECO:0000303',
+    'IC': 'ECO:0000305',
+    'ND': 'ECO:0000307',
+    'IEA': 'ECO:0000501'
+};
+
+/**
+ * The GAF qualifiers and the relations they map to.
+ *
+ * @name qualifier_relations
+ * @memberof module:minerva-requests/gpad
+ */
+var qualifier_relations = {
+    'enables': 'RO:0002327',
+    'contributes_to': 'RO:0002326',
+    'involved_in': 'RO:0002331',
+    'acts_upstream_of': 'RO:0002263',
+    'acts_upstream_of_or_within': 'RO:0002264',
+    'acts_upstream_of_positive_effect': 'RO:0004034',
+    'acts_upstream_of_negative_effect': 'RO:0004035',
+    'acts_upstream_of_or_within_positive_effect': 'RO:0004032',
+    'acts_upstream_of_or_within_negative_effect': 'RO:0004033',
+    'located_in': 'RO:0001025',
+    'part_of': 'BFO:0000050',
+    'is_active_in': 'RO:0002432',
+    'colocalizes_with': 'RO:0002325'
+};
+
+// The relation implied by the aspect in GAF 2.1, when there is no
+// qualifier.
+var aspect_relations = {
+    'F': 'RO:0002327',
+    'P': 'RO:0002331',
+    'C': 'BFO:0000050'
+};
+
+// "enables" is turned around into "enabled by" in the model.
+var ENABLES = 'RO:0002327';
+var ENABLED_BY = 'RO:0002333';
+
+// Split a pipe separated column into a list.
+function _split(col){
+    return us.compact(us.map((col || '').split('|'), function(s){
+	return s.trim();
+    }));
+}
+
+// Columns to an annotation, or a message saying what is wrong.
+function _gpad_annotation(cols){
+
+    if( cols.length < 10 ){
+	return 'expected at least 10 columns, found ' + cols.length;
+    }
+    if( ! /^\S+:\S+$/.test(cols[2]) ){
+	return 'not a relation id: ' + cols[2];
+    }
+    if( ! /^ECO:\d{7}$/.test(cols[5]) ){
+	return 'not an ECO class: ' + cols[5];
+    }
+
+    return {
+	'gene_product': cols[0],
+	'symbol': null,
+	'negated': cols[1] === 'NOT',
+	'relation': cols[2],
+	'term': cols[3],
+	'aspect': null,
+	'references': _split(cols[4]),
+	'evidence_code': cols[5],
+	'with': cols[6] || null,
+	'taxon': null,
+	'date': cols[8] ? cols[8].substr(0, 10) : null,
+	'assigned_by': cols[9] || null
+    };
+}
+
+// Columns to an annotation, or a message saying what is wrong.
+function _gaf_annotation(cols){
+
+    if( cols.length < 15 ){
+	return 'expected at least 15 columns, found ' + cols.length;
+    }
+
+    var quals = _split(cols[3]);
+    var negated = us.contains(quals, 'NOT');
+    quals = us.without(quals, 'NOT');
+    var relation = null;
+    if( us.isEmpty(quals) ){
+	relation = aspect_relations[cols[8]] || null;
+    }else if( quals.length === 1 ){
+	relation = qualifier_relations[quals[0]] || null;
+    }
+    if( ! relation ){
+	return 'no relation for qualifier "' + cols[3] + '" and aspect "' +
+	    cols[8] + '"';
+    }
+    if( ! us.has(eco_codes, cols[6]) ){
+	return 'unknown evidence code: ' + cols[6];
+    }
+
+    var taxon = _split(cols[12])[0] || null;
+    if( taxon ){
+	taxon = taxon.replace(/^taxon:/, 'NCBITaxon:');
+    }
+    var date = null;
+    if( /^\d{8}$/.test(cols[13]) ){
+	date = [cols[13].substr(0, 4), cols[13].substr(4, 2),
+		cols[13].substr(6, 2)].join('-');
+    }
+
+    return {
+	'gene_product': cols[0] + ':' + cols[1],
+	'symbol': cols[2] || null,
+	'negated': negated,
+	'relation': relation,
+	'term': cols[4],
+	'aspect': cols[8] || null,
+	'references': _split(cols[5]),
+	'evidence_code': eco_codes[cols[6]],
+	'with': cols[7] || null,
+	'taxon': taxon,
+	'date': date,
+	'assigned_by': cols[14] || null
+    };
+}
+
+/**
+ * Parse the text of a GPAD 2.0 or GAF 2.1/2.2 file. The format is
+ * taken from the "!gpad-version" or "!gaf-version" header unless it
+ * is given.
+ *
+ * Lines that cannot be read are not fatal: they are left out of the
+ * annotations and listed in the problems.
+ *
+ * @function
+ * @memberof module:minerva-requests/gpad
+ * @param {String} text - the contents of the file
+ * @param {String} [format] - 'gpad' or 'gaf'
+ * @returns {Object} "format", "annotations" (list), and "problems" (list)
+ */
+function parse(text, format){
+
+    var lines = (text || '').split(/\r?\n/);
+
+    if( ! format ){
+	each(lines, function(line){
+	    if( ! format && /^!\s*gpad-version:\s*2/.test(line) ){
+		format = 'gpad';
+	    }else if( ! format && /^!\s*gaf-version:\s*2/.test(line) ){
+		format = 'gaf';
+	    }
+	});
+    }
+    if( format !== 'gpad' && format !== 'gaf' ){
+	throw new Error('unknown annotation file format');
+    }
+
+    var annotations = [];
+    var problems = [];
+    each(lines, function(line, i){
+	if( line.trim() === '' || line.charAt(0) === '!' ){ return; }
+	var cols = us.map(line.split("\t"), function(c){ return c.trim(); });
+	var ann = format === 'gpad' ?
+		_gpad_annotation(cols) : _gaf_annotation(cols);
+	if( us.isString(ann) ){
+	    problems.push({'line': i + 1, 'message': ann});
+	}else{
+	    ann['line'] = i + 1;
+	    annotations.push(ann);
+	}
+    });
+
+    return {
+	'format': format,
+	'annotations': annotations,
+	'problems': problems
+    };
+}
+
+/**
+ * Read and parse a local GPAD or GAF file (Node only).
+ *
+ * @see module:minerva-requests/gpad.parse
+ * @function
+ * @memberof module:minerva-requests/gpad
+ * @param {String} path - the file path
+ * @param {String} [format] - 'gpad' or 'gaf'
+ * @returns {Object} "format", "annotations" (list), and "problems" (list)
+ */
+function read_file(path, format){
+
+    // Pulled in here so that browser bundles need not deal with it.
+    var fs = require('fs');
+
+    return parse(fs.readFileSync(path, 'utf8'), format);
+}
+
+/**
+ * Turn parsed annotations into request sets. For each annotation, an
+ * individual of the GO term is related to the gene product
+ * individual (one per gene product and model) by the annotation
+ * relation, except that "enables" becomes "enabled by" from the
+ * activity to the gene product. Evidence is added to the fact from
+ * the ECO class, references, and with/from.
+ *
+ * Negated annotations cannot be represented this way and are left out,
+ * as are annotations without usable references; both are listed in
+ * the problems. References that evidence does not accept (see
+ * {module:minerva-requests/evidence.usable_reference_p}, e.g.
+ * "MGI:MGI:12345") are left out of the evidence, and each is listed in
+ * the problems too.
+ *
+ * The possible options are:
+ *  group_by - *[optional]* 'gene-product' (the default) for a new model for each gene product, or 'none' for a single new model
+ *  model_id - *[optional]* string; add everything to this existing model instead of new ones
+ *  token - *[optional]* string; the user token
+ *  groups - *[optional]* list of strings; the groups to use
+ *  contributor - *[optional]* string; added to the evidence
+ *
+ * @function
+ * @memberof module:minerva-requests/gpad
+ * @param {Array} annotations - list of annotations from {module:minerva-requests/gpad.parse}
+ * @param {Object} [options] - see above
+ * @returns {Object} "request_sets" (list) and "problems" (list)
+ */
+function convert(annotations, options){
+
+    // Pulled in here, as the main module requires this one.
+    var request_set = require('./requests').request_set;
+
+    options = options || {};
+    var group_by = options['group_by'] || 'gene-product';
+    if( group_by !== 'gene-product' && group_by !== 'none' ){
+	throw new Error('unknown grouping: ' + group_by);
+    }
+    var model_id = options['model_id'] || null;
+
+    // Sort the annotations into groups, keeping the file order.
+    var problems = [];
+    var groups = [];
+    var group_index = {};
+    each(annotations, function(ann){
+	var key = ( group_by === 'none' || model_id ) ?
+		'' : ann['gene_product'];
+	if( ann['negated'] ){
+	    problems.push({'line': ann['line'],
+			   'message': 'negated annotations are not converted'});
+	}else{
+	    if( ! us.has(group_index, key) ){
+		group_index[key] = groups.length;
+		groups.push([]);
+	    }
+	    groups[group_index[key]].push(ann);
+	}
+    });
+
+    var request_sets = [];
+    each(groups, function(group){
+
+	var rs = new request_set(options['token'] || null, model_id, false,
+				 options['groups'] || null);
+	if( ! model_id ){
+	    var first = group[0];
+	    var taxon = us.find(us.pluck(group, 'taxon'), us.identity);
+	    rs.add_model(taxon ? {'taxon-id': taxon} : null);
+	    if( group_by === 'gene-product' ){
+		rs.set_model_title(first['symbol'] ?
+				   first['symbol'] + ' (' +
+				   first['gene_product'] + ')' :
+				   first['gene_product']);
+	    }
+	}
+
+	var gp_ids = {};
+	each(group, function(ann){
+
+	    // Evidence first, so nothing is added for bad annotations.
+	    var refs = us.partition(ann['references'],
+				    evidence.usable_reference_p);
+	    each(refs[1], function(ref){
+		problems.push({'line': ann['line'],
+			       'message': 'reference left out of evidence: ' +
+			       ref});
+	    });
+	    var ev = null;
+	    try {
+		ev = new evidence.evidence({
+		    'code': ann['evidence_code'],
+		    'sources': refs[0],
+		    'with': _split(ann['with']),
+		    'date': ann['date'],
+		    'contributor': options['contributor']
+		});
+	    }catch(e){
+		problems.push({'line': ann['line'], 'message': e.message});
+		return;
+	    }
+
+	    var gp = ann['gene_product'];
+	    if( ! us.has(gp_ids, gp) ){
+		gp_ids[gp] = rs.add_individual(gp, null, model_id);
+	    }
+	    var term_id = rs.add_individual(ann['term'], null, model_id);
+	    var triple = [gp_ids[gp], term_id, ann['relation']];
+	    if( ann['relation'] === ENABLES ){
+		triple = [term_id, gp_ids[gp], ENABLED_BY];
+	    }
+	    rs.add_fact(triple, model_id);
+	    rs.add_evidence(ev, triple, model_id);
+	});
+
+	if( ! us.isEmpty(gp_ids) ){
+	    request_sets.push(rs);
+	}
+    });
+
+    return {
+	'request_sets': request_sets,
+	'problems': us.sortBy(problems, 'line')
+    };
+}
+
+///
+/// Exportable body.
+///
+
+module.exports = {
+
+    'parse': parse,
+    'read_file': read_file,
+    'convert': convert,
+    'eco_codes': eco_codes,
+    'qualifier_relations': qualifier_relations
+
+};
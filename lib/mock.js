@@ -0,0 +1,599 @@
+/**
+ * Purpose: An in-memory stand-in for Minerva, for testing.
+ *
+ * This module includes the following objects:
+ *  - mock_minerva
+ *
+ * It executes the output of request_set#structure (or
+ * request_set#callable) against an in-memory model store and returns
+ * Minerva-shaped responses; it is not a reasoner and makes no attempt
+ * at OWL semantics beyond what is needed to keep models consistent.
+ *
+ * @module minerva-requests/mock
+ */
+
+var us = require('underscore');
+var each = us.each;
+var bbop = require('bbop-core');
+var what_is = bbop.what_is;
+var querystring = require('querystring');
+
+// Copy a simple JSON-able structure.
+function _copy(thing){
+    return JSON.parse(JSON.stringify(thing));
+}
+
+// Zero-padded counter for minted ids.
+function _pad(num){
+    var str = num.toString();
+    while( str.length < 8 ){ str = '0' + str; }
+    return str;
+}
+
+// Errors thrown during execution carry the offending request index
+// and exception class in the style of Minerva.
+function _batch_error(index, exception_type, message){
+    var err = new Error(message);
+    err.request_index = index;
+    err.exception_type = exception_type;
+    return err;
+}
+
+/**
+ * Contructor for a mock Minerva server.
+ *
+ * The possible options are:
+ *  uid - *[optional]* string; the user id reported in responses (default 'GOC:mock')
+ *  require_token - *[optional]* boolean; whether 'action' batches need a token (default true)
+ *  relations - *[optional]* list of relation objects returned by "meta get" (default empty)
+ *
+ * @constructor
+ * @param {Object} [options] - see above
+ * @returns {mock_minerva} mock Minerva object
+ */
+var mock_minerva = function(options){
+    var anchor = this;
+    anchor._is_a = 'minerva-requests.mock_minerva';
+
+    options = options || {};
+    anchor._uid = options['uid'] || 'GOC:mock';
+    anchor._require_token_p = true;
+    if( options['require_token'] === false ){
+	anchor._require_token_p = false;
+    }
+    anchor._relations = options['relations'] || [];
+
+    // Model store: model id to model.
+    anchor._models = {};
+    anchor._counter = 0;
+
+    // Mint a new unique id.
+    anchor._mint = function(prefix){
+	anchor._counter++;
+	return prefix + _pad(anchor._counter);
+    };
+
+    ///
+    /// Model internals.
+    ///
+
+    // Model to wire format "data".
+    anchor._model_data = function(model, reasoner_p){
+	var data = {
+	    'id': model['id'],
+	    'annotations': _copy(model['annotations']),
+	    'individuals': [],
+	    'facts': _copy(model['facts']),
+	    'modified-p': model['modified-p']
+	};
+	each(model['order'], function(iid){
+	    var ind = _copy(model['individuals'][iid]);
+	    if( reasoner_p ){
+		ind['inferred-type'] = _copy(ind['type']);
+	    }
+	    data['individuals'].push(ind);
+	});
+	return data;
+    };
+
+    // Snapshot of the things that undo/redo can restore.
+    anchor._snapshot = function(model){
+	return _copy({
+	    'annotations': model['annotations'],
+	    'individuals': model['individuals'],
+	    'order': model['order'],
+	    'facts': model['facts']
+	});
+    };
+    anchor._restore = function(model, snap){
+	each(snap, function(val, key){
+	    model[key] = _copy(val);
+	});
+	model['modified-p'] = true;
+    };
+
+    // Annotation list operations.
+    function _add_values(anns, values){
+	each(values, function(v){
+	    var exists = us.find(anns, function(a){
+		return a['key'] === v['key'] && a['value'] === v['value'];
+	    });
+	    if( ! exists ){ anns.push(_copy(v)); }
+	});
+    }
+    function _remove_values(anns, values){
+	return us.filter(anns, function(a){
+	    return ! us.find(values, function(v){
+		return a['key'] === v['key'] && a['value'] === v['value'];
+	    });
+	});
+    }
+
+    // Find a fact by its triple.
+    function _find_fact(model, sub, obj, pred){
+	return us.find(model['facts'], function(f){
+	    return f['subject'] === sub && f['object'] === obj &&
+		f['property'] === pred;
+	});
+    }
+
+    ///
+    /// Execution.
+    ///
+
+    // Run a single request against the store. The batch state holds
+    // variables, the current implied model, touched models, and the
+    // strongest signal so far.
+    anchor._run = function(req, index, state){
+
+	var entity = req['entity'];
+	var op = req['operation'];
+	var args = req['arguments'] || {};
+
+	function _fail(exception_type, message){
+	    throw _batch_error(index, exception_type, message);
+	}
+	function _required(key){
+	    if( args[key] === null || typeof(args[key]) === 'undefined' ){
+		_fail('MissingParameterException',
+		      'Expected non-null value for: ' + key);
+	    }
+	    return args[key];
+	}
+	// Variables become real ids.
+	function _resolve(id){
+	    if( us.has(state['variables'], id) ){
+		return state['variables'][id];
+	    }
+	    return id;
+	}
+	function _resolve_values(values){
+	    return us.map(values || [], function(v){
+		var nv = _copy(v);
+		nv['value'] = _resolve(nv['value']);
+		return nv;
+	    });
+	}
+	function _model(){
+	    var mid = args['model-id'] || state['model_id'];
+	    if( ! mid ){
+		_fail('MissingParameterException',
+		      'Expected non-null value for: model-id');
+	    }
+	    var model = anchor._models[mid];
+	    if( ! model ){
+		_fail('UnknownIdentifierException', 'Unknown model: ' + mid);
+	    }
+	    return model;
+	}
+	function _touch(model){
+	    if( ! state['touched'][model['id']] ){
+		state['touched'][model['id']] = anchor._snapshot(model);
+	    }
+	    model['modified-p'] = true;
+	    state['last_model'] = model;
+	}
+	function _individual(model){
+	    var iid = _resolve(_required('individual'));
+	    var ind = model['individuals'][iid];
+	    if( ! ind ){
+		_fail('UnknownIdentifierException',
+		      'Unknown individual: ' + iid);
+	    }
+	    return ind;
+	}
+	function _triple(){
+	    return [_resolve(_required('subject')),
+		    _resolve(_required('object')),
+		    _required('predicate')];
+	}
+
+	var model = null;
+	var ind = null;
+	var triple = null;
+	var fact = null;
+	if( entity === 'meta' ){
+
+	    if( op === 'get' ){
+		var models_meta = {};
+		each(anchor._models, function(m, mid){
+		    models_meta[mid] = _copy(m['annotations']);
+		});
+		state['meta'] = {
+		    'relations': _copy(anchor._relations),
+		    'evidence': [],
+		    'models-meta': models_meta
+		};
+	    }else if( op === 'export-all' || op === 'store-all' ){
+		each(anchor._models, function(m){ m['modified-p'] = false; });
+	    }else{
+		_fail('UnknownOperationException', 'Unknown operation: ' + op);
+	    }
+
+	}else if( entity === 'model' ){
+
+	    if( op === 'add' ){
+		var new_mid = anchor._mint('gomodel:');
+		model = {
+		    'id': new_mid,
+		    'annotations': [],
+		    'individuals': {},
+		    'order': [],
+		    'facts': [],
+		    'modified-p': true,
+		    'undo': [],
+		    'redo': []
+		};
+		anchor._models[new_mid] = model;
+		state['model_id'] = new_mid;
+		state['last_model'] = model;
+	    }else if( op === 'get' ){
+		state['last_model'] = _model();
+		state['rebuild'] = true;
+	    }else if( op === 'store' ){
+		model = _model();
+		model['modified-p'] = false;
+		state['last_model'] = model;
+	    }else if( op === 'add-annotation' ){
+		model = _model();
+		_touch(model);
+		_add_values(model['annotations'], _resolve_values(args['values']));
+	    }else if( op === 'remove-annotation' ){
+		model = _model();
+		_touch(model);
+		model['annotations'] =
+		    _remove_values(model['annotations'],
+				   _resolve_values(args['values'] || []));
+		state['rebuild'] = true;
+	    }else if( op === 'undo' || op === 'redo' ){
+		model = _model();
+		var from = op === 'undo' ? model['undo'] : model['redo'];
+		var to = op === 'undo' ? model['redo'] : model['undo'];
+		if( us.isEmpty(from) ){
+		    _fail('IllegalArgumentException', 'Nothing to ' + op);
+		}
+		var entry = from.pop();
+		to.push({
+		    'user-id': entry['user-id'],
+		    'time': entry['time'],
+		    'change-id': entry['change-id'],
+		    'snapshot': anchor._snapshot(model)
+		});
+		anchor._restore(model, entry['snapshot']);
+		state['last_model'] = model;
+		state['history_p'] = true;
+		state['rebuild'] = true;
+	    }else if( op === 'get-undo-redo' ){
+		model = _model();
+		var _strip = function(entries){
+		    return us.map(entries, function(e){
+			return {
+			    'user-id': e['user-id'],
+			    'time': e['time'],
+			    'change-id': e['change-id'],
+			    'changes': []
+			};
+		    });
+		};
+		state['meta'] = {
+		    'undo': _strip(model['undo']),
+		    'redo': _strip(model['redo'])
+		};
+	    }else{
+		_fail('UnknownOperationException', 'Unknown operation: ' + op);
+	    }
+
+	}else if( entity === 'individual' ){
+
+	    model = _model();
+	    _touch(model);
+
+	    if( op === 'add' ){
+		var iid = args['individual-iri'] ||
+			anchor._mint(model['id'] + '/');
+		if( model['individuals'][iid] ){
+		    _fail('IllegalArgumentException',
+			  'Individual already exists: ' + iid);
+		}
+		model['individuals'][iid] = {
+		    'id': iid,
+		    'type': _copy(args['expressions'] || []),
+		    'annotations': []
+		};
+		_add_values(model['individuals'][iid]['annotations'],
+			    _resolve_values(args['values']));
+		model['order'].push(iid);
+		if( args['assign-to-variable'] ){
+		    state['variables'][args['assign-to-variable']] = iid;
+		}
+	    }else if( op === 'remove' ){
+		ind = _individual(model);
+		var rid = ind['id'];
+		delete model['individuals'][rid];
+		model['order'] = us.without(model['order'], rid);
+		model['facts'] = us.filter(model['facts'], function(f){
+		    return f['subject'] !== rid && f['object'] !== rid;
+		});
+		// Clean up references to the removed individual (e.g.
+		// evidence).
+		var ref = [{'key': 'evidence', 'value': rid}];
+		each(model['individuals'], function(i){
+		    i['annotations'] = _remove_values(i['annotations'], ref);
+		});
+		each(model['facts'], function(f){
+		    f['annotations'] = _remove_values(f['annotations'], ref);
+		});
+		state['rebuild'] = true;
+	    }else if( op === 'add-type' || op === 'remove-type' ){
+		ind = _individual(model);
+		each(_required('expressions'), function(expr){
+		    var sig = JSON.stringify(expr);
+		    var rest = us.filter(ind['type'], function(t){
+			return JSON.stringify(t) !== sig;
+		    });
+		    if( op === 'add-type' ){ rest.push(_copy(expr)); }
+		    ind['type'] = rest;
+		});
+		if( op === 'remove-type' ){ state['rebuild'] = true; }
+	    }else if( op === 'add-annotation' ){
+		ind = _individual(model);
+		_add_values(ind['annotations'],
+			    _resolve_values(_required('values')));
+	    }else if( op === 'remove-annotation' ){
+		ind = _individual(model);
+		ind['annotations'] =
+		    _remove_values(ind['annotations'],
+				   _resolve_values(_required('values')));
+		state['rebuild'] = true;
+	    }else{
+		_fail('UnknownOperationException', 'Unknown operation: ' + op);
+	    }
+
+	}else if( entity === 'edge' ){
+
+	    model = _model();
+	    _touch(model);
+	    triple = _triple();
+	    fact = _find_fact(model, triple[0], triple[1], triple[2]);
+
+	    if( op === 'add' ){
+		each([triple[0], triple[1]], function(iid){
+		    if( ! model['individuals'][iid] ){
+			_fail('UnknownIdentifierException',
+			      'Unknown individual: ' + iid);
+		    }
+		});
+		if( ! fact ){
+		    fact = {
+			'subject': triple[0],
+			'object': triple[1],
+			'property': triple[2],
+			'annotations': []
+		    };
+		    model['facts'].push(fact);
+		}
+		_add_values(fact['annotations'], _resolve_values(args['values']));
+	    }else if( ! fact ){
+		_fail('UnknownIdentifierException',
+		      'Unknown fact: ' + triple.join(' '));
+	    }else if( op === 'remove' ){
+		model['facts'] = us.without(model['facts'], fact);
+		state['rebuild'] = true;
+	    }else if( op === 'add-annotation' ){
+		_add_values(fact['annotations'],
+			    _resolve_values(_required('values')));
+	    }else if( op === 'remove-annotation' ){
+		fact['annotations'] =
+		    _remove_values(fact['annotations'],
+				   _resolve_values(_required('values')));
+		state['rebuild'] = true;
+	    }else{
+		_fail('UnknownOperationException', 'Unknown operation: ' + op);
+	    }
+
+	}else{
+	    _fail('UnknownOperationException', 'Unknown entity: ' + entity);
+	}
+    };
+
+    /**
+     * Execute a request set structure, returning a raw Minerva-style
+     * response. Batches are all or nothing: if any request fails, no
+     * changes are kept, and the error commentary has the index of the
+     * request that failed ("request-index"; an addition of the mock's,
+     * not something Minerva sends).
+     *
+     * @alias module:minerva-requests/mock~mock_minerva#execute
+     * @function
+     * @memberof module:minerva-requests/mock~mock_minerva
+     * @param {Object} rset_struct - output of request_set#structure or request_set#callable
+     * @returns {Object} raw response object
+     */
+    anchor.execute = function(rset_struct){
+
+	var intention = rset_struct['intention'] || 'query';
+	var reasoner_p = rset_struct['use-reasoner'] === 'true';
+	var reqs = rset_struct['requests'] || [];
+	if( what_is(reqs) === 'string' ){
+	    reqs = JSON.parse(decodeURIComponent(reqs));
+	}
+
+	var resp = {
+	    'packet-id': anchor._mint('packet:'),
+	    'uid': anchor._uid,
+	    'intention': intention
+	};
+
+	function _error(message, exception_type, exception_msg, index){
+	    resp['message-type'] = 'error';
+	    resp['message'] = message;
+	    resp['commentary'] = {
+		'exceptionType': exception_type,
+		'exceptionMsg': exception_msg
+	    };
+	    if( us.isNumber(index) ){
+		resp['commentary']['request-index'] = index;
+	    }
+	    return resp;
+	}
+
+	if( intention === 'action' && anchor._require_token_p &&
+	    ! rset_struct['token'] ){
+	    return _error('Insufficient permissions for mutating operation.',
+			  'InsufficientPermissionsException',
+			  'No token given for action batch', null);
+	}
+	if( us.isEmpty(reqs) ){
+	    return _error('Empty batch request.', 'MissingParameterException',
+			  'Expected non-empty requests', null);
+	}
+
+	// Run everything against a copy of the store, so that failures
+	// leave it untouched.
+	var backup = _copy(anchor._models);
+	var backup_counter = anchor._counter;
+	var state = {
+	    'variables': {},
+	    'model_id': null,
+	    'touched': {},
+	    'last_model': null,
+	    'meta': null,
+	    'rebuild': false,
+	    'history_p': false
+	};
+	try {
+	    each(reqs, function(req, index){
+		anchor._run(req, index, state);
+	    });
+	}catch(e){
+	    anchor._models = backup;
+	    anchor._counter = backup_counter;
+	    return _error('Could not successfully complete batch request.',
+			  e.exception_type || 'Exception', e.message,
+			  e.request_index);
+	}
+
+	// Record history for everything changed (but not by undo/redo
+	// themselves).
+	if( ! state['history_p'] ){
+	    var change_id = anchor._mint('change:');
+	    each(state['touched'], function(snap, mid){
+		var model = anchor._models[mid];
+		model['undo'].push({
+		    'user-id': anchor._uid,
+		    'time': Date.now(),
+		    'change-id': change_id,
+		    'snapshot': snap
+		});
+		model['redo'] = [];
+	    });
+	}
+
+	resp['message-type'] = 'success';
+	resp['message'] = 'success';
+	if( state['meta'] ){
+	    resp['signal'] = 'meta';
+	    resp['data'] = state['meta'];
+	}else{
+	    resp['signal'] = state['rebuild'] ? 'rebuild' : 'merge';
+	    resp['data'] = {};
+	    if( state['last_model'] ){
+		resp['data'] = anchor._model_data(state['last_model'],
+						  reasoner_p);
+	    }
+	}
+
+	return resp;
+    };
+
+    /**
+     * Get the current state of a model, in the same form as the
+     * "data" of a response.
+     *
+     * @alias module:minerva-requests/mock~mock_minerva#model
+     * @function
+     * @memberof module:minerva-requests/mock~mock_minerva
+     * @param {String} model_id - string
+     * @returns {Object|null} model data or null
+     */
+    anchor.model = function(model_id){
+	var ret = null;
+	if( anchor._models[model_id] ){
+	    ret = anchor._model_data(anchor._models[model_id], false);
+	}
+	return ret;
+    };
+
+    /**
+     * The ids of all models in the store.
+     *
+     * @alias module:minerva-requests/mock~mock_minerva#model_ids
+     * @function
+     * @memberof module:minerva-requests/mock~mock_minerva
+     * @returns {Array} list of model ids
+     */
+    anchor.model_ids = function(){
+	return us.keys(anchor._models);
+    };
+
+    /**
+     * A transport adapter (see {module:minerva-requests/transport})
+     * that sends request sets to this mock instead of a server.
+     *
+     * @alias module:minerva-requests/mock~mock_minerva#adapter
+     * @function
+     * @memberof module:minerva-requests/mock~mock_minerva
+     * @param {Object} req - "url", "body", and "headers"
+     * @returns {Object} "promise" and "abort"
+     */
+    anchor.adapter = function(req){
+
+	// Undo the form encoding; "requests" are then still
+	// URI-encoded, which execute() deals with.
+	var form = querystring.parse(req['body']);
+	if( form['requests'] ){
+	    form['requests'] = encodeURIComponent(form['requests']);
+	}
+	if( us.isString(form['provided-by']) ){
+	    form['provided-by'] = [form['provided-by']];
+	}
+
+	return {
+	    'promise': Promise.resolve({
+		'status': 200,
+		'body': JSON.stringify(anchor.execute(form))
+	    }),
+	    'abort': function(){}
+	};
+    };
+};
+
+///
+/// Exportable body.
+///
+
+module.exports = {
+
+    'mock_minerva': mock_minerva
+
+};
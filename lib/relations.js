@@ -0,0 +1,276 @@
+/**
+ * Purpose: A registry of commonly used relations, with their labels
+ * and the kinds of things that they are expected to connect, to catch
+ * mistakes (like "occurs in" pointing at a gene product) before they
+ * get to the server.
+ *
+ * This module includes the following objects:
+ *  - relation_registry
+ *  - default_relations
+ *  - default_category
+ *
+ * Categories are simple strings: 'molecular_function',
+ * 'biological_process', 'cellular_component', 'gene_product',
+ * 'chemical_entity', and 'anatomical_entity'.
+ *
+ * @module minerva-requests/relations
+ */
+
+var us = require('underscore');
+var each = us.each;
+
+// Shorthand for the table below.
+var MF = 'molecular_function';
+var BP = 'biological_process';
+var CC = 'cellular_component';
+var GP = 'gene_product';
+var CHEM = 'chemical_entity';
+var ANAT = 'anatomical_entity';
+
+// Causal relations between activities and processes.
+function _causal(label){
+    return {'label': label, 'domain': [MF, BP], 'range': [MF, BP]};
+}
+
+/**
+ * The default table of relations: ids to "label", and the lists of
+ * categories allowed as the subject ("domain") and object ("range").
+ *
+ * @name default_relations
+ * @memberof module:minerva-requests/relations
+ */
+var default_relations = {
+    'RO:0002333': {'label': 'enabled by', 'domain': [MF], 'range': [GP, CC]},
+    'BFO:0000050': {'label': 'part of', 'domain': [MF, BP, CC, ANAT],
+		    'range': [BP, CC, ANAT]},
+    'BFO:0000051': {'label': 'has part', 'domain': [MF, BP, CC, ANAT],
+		    'range': [MF, BP, CC, GP, ANAT]},
+    'BFO:0000066': {'label': 'occurs in', 'domain': [MF, BP],
+		    'range': [CC, ANAT]},
+    'RO:0001025': {'label': 'located in', 'domain': [GP, CC, CHEM],
+		   'range': [CC, ANAT]},
+    'RO:0002233': {'label': 'has input', 'domain': [MF, BP],
+		   'range': [GP, CHEM, CC]},
+    'RO:0002234': {'label': 'has output', 'domain': [MF, BP],
+		   'range': [GP, CHEM, CC]},
+    'RO:0002326': {'label': 'contributes to', 'domain': [GP], 'range': [MF]},
+    'RO:0002331': {'label': 'involved in', 'domain': [GP], 'range': [BP]},
+    'RO:0002263': {'label': 'acts upstream of', 'domain': [GP],
+		   'range': [BP]},
+    'RO:0002411': _causal('causally upstream of'),
+    'RO:0002304': _causal('causally upstream of, positive effect'),
+    'RO:0002305': _causal('causally upstream of, negative effect'),
+    'RO:0002413': _causal('directly provides input for'),
+    'RO:0002211': _causal('regulates'),
+    'RO:0002213': _causal('positively regulates'),
+    'RO:0002212': _causal('negatively regulates'),
+    'RO:0002578': _causal('directly regulates'),
+    'RO:0002629': _causal('directly positively regulates'),
+    'RO:0002630': _causal('directly negatively regulates')
+};
+
+// Prefixes that are always gene products.
+var gene_product_prefixes = [
+    'UniProtKB', 'MGI', 'RGD', 'ZFIN', 'SGD', 'FB', 'WB', 'TAIR',
+    'PomBase', 'dictyBase', 'HGNC', 'PR', 'RNAcentral', 'ComplexPortal'
+];
+
+/**
+ * The default way of deciding the category of a class from its id.
+ * Only the GO roots can be recognized without the ontology, so other
+ * GO classes are unknown (null).
+ *
+ * @function
+ * @memberof module:minerva-requests/relations
+ * @param {String} class_id - the class id, as a CURIE
+ * @returns {String|null} the category, or null if unknown
+ */
+function default_category(class_id){
+
+    var roots = {
+	'GO:0003674': MF,
+	'GO:0008150': BP,
+	'GO:0005575': CC
+    };
+
+    var ret = null;
+    if( us.isString(class_id) ){
+	var prefix = class_id.split(':')[0];
+	if( us.has(roots, class_id) ){
+	    ret = roots[class_id];
+	}else if( us.contains(gene_product_prefixes, prefix) ){
+	    ret = GP;
+	}else if( prefix === 'CHEBI' ){
+	    ret = CHEM;
+	}else if( prefix === 'UBERON' || prefix === 'CL' ||
+		  prefix === 'EMAPA' ){
+	    ret = ANAT;
+	}
+    }
+    return ret;
+}
+
+/**
+ * Contructor for a relation registry.
+ *
+ * @constructor
+ * @param {Object} [relations] - table of relations like {module:minerva-requests/relations.default_relations} (default: that table)
+ * @param {Function} [category_fun] - function from a class id to its category, or null if not known (default: {module:minerva-requests/relations.default_category})
+ * @returns {relation_registry} relation registry object
+ */
+var relation_registry = function(relations, category_fun){
+    var anchor = this;
+    anchor._is_a = 'minerva-requests.relation_registry';
+
+    anchor._relations = {};
+    anchor._category_fun = category_fun || default_category;
+
+    /**
+     * Add (or replace) a relation.
+     *
+     * @alias module:minerva-requests/relations~relation_registry#add
+     * @function
+     * @memberof module:minerva-requests/relations~relation_registry
+     * @param {String} id - the relation id
+     * @param {Object} info - "label", and optionally "domain" and "range" (lists of categories; any if not given)
+     * @returns {relation_registry} current registry, modified; suitable for chaining
+     */
+    anchor.add = function(id, info){
+	if( ! us.isString(id) || ! info || ! us.isString(info['label']) ){
+	    throw new Error('a relation needs an id and a label');
+	}
+	anchor._relations[id] = {
+	    'label': info['label'],
+	    'domain': info['domain'] ? info['domain'].slice() : null,
+	    'range': info['range'] ? info['range'].slice() : null
+	};
+	return anchor;
+    };
+
+    /**
+     * Get the information for a relation.
+     *
+     * @alias module:minerva-requests/relations~relation_registry#get
+     * @function
+     * @memberof module:minerva-requests/relations~relation_registry
+     * @param {String} id - the relation id
+     * @returns {Object|null} "label", "domain", and "range", or null
+     */
+    anchor.get = function(id){
+	var ret = null;
+	if( us.has(anchor._relations, id) ){
+	    ret = JSON.parse(JSON.stringify(anchor._relations[id]));
+	}
+	return ret;
+    };
+
+    /**
+     * The label of a relation.
+     *
+     * @alias module:minerva-requests/relations~relation_registry#label
+     * @function
+     * @memberof module:minerva-requests/relations~relation_registry
+     * @param {String} id - the relation id
+     * @returns {String|null} the label, or null
+     */
+    anchor.label = function(id){
+	var ret = null;
+	if( us.has(anchor._relations, id) ){
+	    ret = anchor._relations[id]['label'];
+	}
+	return ret;
+    };
+
+    /**
+     * The ids of all of the relations.
+     *
+     * @alias module:minerva-requests/relations~relation_registry#ids
+     * @function
+     * @memberof module:minerva-requests/relations~relation_registry
+     * @returns {Array} list of ids
+     */
+    anchor.ids = function(){
+	return us.keys(anchor._relations);
+    };
+
+    /**
+     * The category of a class.
+     *
+     * @alias module:minerva-requests/relations~relation_registry#category
+     * @function
+     * @memberof module:minerva-requests/relations~relation_registry
+     * @param {String} class_id - the class id
+     * @returns {String|null} the category, or null if unknown
+     */
+    anchor.category = function(class_id){
+	return anchor._category_fun(class_id) || null;
+    };
+
+    /**
+     * Check a use of a relation, given the classes of the subject and
+     * object (any that are of unknown category are ignored).
+     *
+     * Each problem is a simple object with the properties: "code"
+     * ('unknown-relation', 'bad-subject', or 'bad-object'),
+     * "predicate", and a human-readable "message".
+     *
+     * @alias module:minerva-requests/relations~relation_registry#check
+     * @function
+     * @memberof module:minerva-requests/relations~relation_registry
+     * @param {String} predicate - the relation id
+     * @param {Array} subject_classes - list of class ids of the subject
+     * @param {Array} object_classes - list of class ids of the object
+     * @returns {Array} list of problems; empty if none
+     */
+    anchor.check = function(predicate, subject_classes, object_classes){
+
+	var problems = [];
+	var rel = anchor._relations[predicate];
+	if( ! us.has(anchor._relations, predicate) ){
+	    problems.push({
+		'code': 'unknown-relation',
+		'predicate': predicate,
+		'message': 'unknown relation: ' + predicate
+	    });
+	}else{
+	    each([['bad-subject', 'subject', subject_classes, rel['domain']],
+		  ['bad-object', 'object', object_classes, rel['range']]],
+		 function(check){
+		     var cats = us.compact(us.map(check[2] || [],
+						  anchor.category));
+		     if( check[3] && ! us.isEmpty(cats) &&
+			 us.isEmpty(us.intersection(cats, check[3])) ){
+			 problems.push({
+			     'code': check[0],
+			     'predicate': predicate,
+			     'message': rel['label'] + ' (' + predicate +
+				 ') should not have a ' +
+				 us.uniq(cats).join('/') + ' as its ' + check[1]
+			 });
+		     }
+		 });
+	}
+
+	return problems;
+    };
+
+    // Initial relations.
+    if( typeof(relations) === 'undefined' || relations === null ){
+	relations = default_relations;
+    }
+    each(relations, function(info, id){
+	anchor.add(id, info);
+    });
+};
+
+///
+/// Exportable body.
+///
+
+module.exports = {
+
+    'relation_registry': relation_registry,
+    'default_relations': default_relations,
+    'default_category': default_category
+
+};
@@ -6,6 +6,17 @@
  *  - request
  *  - request_set
  * 
+ * Also re-exported from their own modules:
+ *  - {module:minerva-requests/response}
+ *  - {module:minerva-requests/transport}
+ *  - {module:minerva-requests/mock}
+ *  - {module:minerva-requests/context}
+ *  - {module:minerva-requests/relations}
+ *  - {module:minerva-requests/evidence}
+ *  - {module:minerva-requests/gpad}
+ *  - {module:minerva-requests/sparql}
+ *  - {module:minerva-requests/schema}
+ * 
  * @module minerva-requests
  */
 
@@ -15,6 +26,78 @@ var bbop = require('bbop-core');
 var what_is = bbop.what_is;
 var uuid = bbop.uuid;
 var class_expression = require('class-expression');
+var response = require('./response').response;
+var transport = require('./transport');
+var mock = require('./mock');
+var context = require('./context');
+var relations = require('./relations');
+var evidence = require('./evidence').evidence;
+var date_string = require('./evidence').date_string;
+var evidence_problems = require('./evidence').evidence_problems;
+var gpad = require('./gpad');
+var sparql = require('./sparql');
+var schema = require('./schema');
+
+/**
+ * The table of legal Minerva entity/operation combinations, with the
+ * list of arguments that each one requires to be accepted by the
+ * server. See:
+ * https://github.com/berkeleybop/bbop-manager-minerva/wiki/MinervaRequestAPI .
+ *
+ * A "model-id" requirement may be satisfied by the request set (a
+ * default model id or an earlier "model add" in the same batch).
+ *
+ * @name operations
+ * @memberof module:minerva-requests
+ */
+var operations = {
+    'individual': {
+	'add': ['model-id'],
+	'remove': ['model-id', 'individual'],
+	'add-type': ['model-id', 'individual', 'expressions'],
+	'remove-type': ['model-id', 'individual', 'expressions'],
+	'add-annotation': ['model-id', 'individual', 'values'],
+	'remove-annotation': ['model-id', 'individual', 'values']
+    },
+    'edge': {
+	'add': ['model-id', 'subject', 'object', 'predicate'],
+	'remove': ['model-id', 'subject', 'object', 'predicate'],
+	'add-annotation': ['model-id', 'subject', 'object', 'predicate',
+			   'values'],
+	'remove-annotation': ['model-id', 'subject', 'object', 'predicate',
+			      'values']
+    },
+    'model': {
+	'add': [],
+	'get': ['model-id'],
+	'store': ['model-id'],
+	'undo': ['model-id'],
+	'redo': ['model-id'],
+	'get-undo-redo': ['model-id'],
+	'add-annotation': ['model-id', 'values'],
+	'remove-annotation': ['model-id', 'values']
+    },
+    'meta': {
+	'get': [],
+	'export-all': [],
+	'store-all': []
+    }
+};
+
+/**
+ * The controlled vocabulary for the "state" annotation of a model.
+ *
+ * @name model_states
+ * @memberof module:minerva-requests
+ */
+var model_states = [
+    'development',
+    'production',
+    'review',
+    'closed',
+    'delete',
+    'internal_test'
+];
 
 /**
  * Contructor for a request variable, used to relate references during
@@ -67,6 +150,24 @@ var request_variable = function(varvalue){
     anchor.set_p = function(){
 	return anchor._use_var_p;
     };
+
+    /**
+     * Give the variable a value, without counting it as set; i.e. the
+     * value will still be used for an implicit assignment (e.g. a
+     * named variable in a request set).
+     *
+     * @alias module:minerva-requests~request_variable#assign
+     * @function
+     * @memberof module:minerva-requests~request_variable
+     * @param {String} [value] - string
+     * @returns {String} string
+     */
+    anchor.assign = function(value){
+	if( value ){
+	    anchor._var = value;
+	}
+	return anchor._var;
+    };
 };
 
 /**
@@ -99,9 +200,9 @@ var request = function(entity, operation){
     // passable.
     anchor._individual_id = new request_variable();    
 
-    // Hold most other additional arguments to the request.
-    // TODO: Could use some checking here? Maybe per-entity?
-    // Could possibly explore using swagger or json-schema?
+    // Hold most other additional arguments to the request. These are
+    // checked against the operations table by validate(), not on
+    // entry.
     anchor._arguments = {};
 
     ///
@@ -155,6 +256,18 @@ var request = function(entity, operation){
 	return anchor._entity;
     };
 
+    /**
+     * The specified operation string.
+     *
+     * @alias module:minerva-requests~request#operation
+     * @function
+     * @memberof module:minerva-requests~request
+     * @returns {String|null} string or null
+     */
+    anchor.operation = function(){
+	return anchor._operation;
+    };
+
     /**
      * Add a "special" variable to the request. For a subset of
      * requests, this may be required. See table:
@@ -228,6 +341,22 @@ var request = function(entity, operation){
 	return anchor._individual_id.value();
     };
 
+    /**
+     * Get/set the variable that a newly created individual will be
+     * assigned to. Unlike {request#individual}, this keeps the
+     * assignment implicit, so that other requests in the set can
+     * refer to the variable.
+     *
+     * @alias module:minerva-requests~request#assign_to_variable
+     * @function
+     * @memberof module:minerva-requests~request
+     * @param {String} [varname] - the variable name
+     * @returns {String} string
+     */
+    anchor.assign_to_variable = function(varname){
+	return anchor._individual_id.assign(varname);
+    };
+
     /**
      * Get/set the subject of this request.
      *
@@ -443,8 +572,216 @@ var request = function(entity, operation){
     anchor.expressions = function(){
 	return anchor._arguments['expressions'];
     };
+
+    /**
+     * Check the request against the table of legal Minerva
+     * entity/operation combinations and their required arguments.
+     *
+     * Each problem is a simple object with the properties: "code"
+     * ('unknown-entity', 'unknown-operation', or 'missing-argument'),
+     * "entity", "operation", "argument" (for missing arguments, else
+     * null), and a human-readable "message".
+     *
+     * @alias module:minerva-requests~request#validate
+     * @function
+     * @memberof module:minerva-requests~request
+     * @param {Boolean} [model_implied_p] - whether the model id will be supplied from elsewhere (e.g. the request set); defaults to false
+     * @returns {Array} list of problems; empty if none
+     */
+    anchor.validate = function(model_implied_p){
+
+	var problems = [];
+	function _problem(code, argument, message){
+	    problems.push({
+		'code': code,
+		'entity': anchor._entity || null,
+		'operation': anchor._operation || null,
+		'argument': argument,
+		'message': message
+	    });
+	}
+
+	var entity_ops = null;
+	if( us.isString(anchor._entity) &&
+	    us.has(operations, anchor._entity) ){
+	    entity_ops = operations[anchor._entity];
+	}
+	if( ! entity_ops ){
+	    _problem('unknown-entity', null,
+		     'unknown entity: ' + anchor._entity);
+	}else if( ! us.isString(anchor._operation) ||
+		  ! us.has(entity_ops, anchor._operation) ){
+	    _problem('unknown-operation', null,
+		     'unknown operation for ' + anchor._entity + ': ' +
+		     anchor._operation);
+	}else{
+
+	    // What will actually be sent.
+	    var args = anchor.objectify()['arguments'];
+
+	    each(entity_ops[anchor._operation], function(key){
+		var val = args[key];
+		if( key === 'model-id' && model_implied_p ){
+		    // Will be filled in later.
+		}else if( val === null || typeof(val) === 'undefined' ||
+			  val === '' || (us.isArray(val) && us.isEmpty(val)) ){
+		    _problem('missing-argument', key,
+			     anchor._entity + ' ' + anchor._operation +
+			     ' is missing required argument: ' + key);
+		}
+	    });
+	}
+
+	return problems;
+    };
+};
+
+/**
+ * Rebuild a request from its higher-level representation, as produced
+ * by {request#objectify}. The arguments are copied, not shared.
+ *
+ * An "assign-to-variable" argument is kept as the (implicit) variable
+ * of the new request, so that references to it elsewhere in a set
+ * still resolve.
+ *
+ * @function
+ * @memberof module:minerva-requests~request
+ * @param {Object} obj - simple object with "entity", "operation", and "arguments"
+ * @returns {request} new request
+ */
+request.from_object = function(obj){
+
+    if( ! obj || ! us.isObject(obj) ){
+	throw new Error('request object is not an object');
+    }
+
+    var req = new request(obj['entity'], obj['operation']);
+
+    var args = JSON.parse(JSON.stringify(obj['arguments'] || {}));
+    if( us.isString(args['individual-iri']) ){
+	req.individual(args['individual-iri'], true);
+    }else if( us.isString(args['individual']) ){
+	req.individual(args['individual']);
+    }else if( us.isString(args['assign-to-variable']) ){
+	req.assign_to_variable(args['assign-to-variable']);
+    }
+    req._arguments = args;
+
+    return req;
 };
 
+// The intention that the request_set helpers use for an operation:
+// 'query' for those that do not change a model, otherwise 'action'.
+function _operation_intention(entity, operation){
+    var ret = 'action';
+    if( ( entity === 'meta' &&
+	  us.contains(['get', 'export-all', 'store-all'], operation) ) ||
+	( entity === 'model' &&
+	  us.contains(['get', 'get-undo-redo', 'store'], operation) ) ){
+	ret = 'query';
+    }
+    return ret;
+}
+
+// All of the ids (possibly variables) that the arguments of a request
+// refer to, as a list of [ARGUMENT, ID] pairs.
+function _argument_references(args){
+    var refs = [];
+    each(['individual', 'subject', 'object'], function(key){
+	if( us.isString(args[key]) ){ refs.push([key, args[key]]); }
+    });
+    each(args['values'] || [], function(val){
+	refs.push(['values', val['value']]);
+    });
+    return refs;
+}
+
+// Check and clean up a value for one of the model metadata keys (see
+// request_set#set_model_metadata), returning a list of values.
+function _model_metadata_values(key, value){
+
+    var vals = us.isArray(value) ? value.slice() : [value];
+    vals = us.map(vals, function(val){
+	if( key === 'date' ){
+	    val = date_string(val);
+	}
+	if( ! us.isString(val) || val === '' ){
+	    throw new Error('bad model ' + key + ': ' + val);
+	}
+	return val;
+    });
+
+    if( key === 'title' || key === 'state' || key === 'date' ){
+	if( vals.length !== 1 ){
+	    throw new Error('a model needs exactly one ' + key);
+	}
+	if( key === 'state' && ! us.contains(model_states, vals[0]) ){
+	    throw new Error('unknown model state: ' + vals[0]);
+	}
+	if( key === 'date' && ! /^\d{4}-\d{2}-\d{2}$/.test(vals[0]) ){
+	    throw new Error('bad model date: ' + vals[0]);
+	}
+    }else if( key !== 'comment' && key !== 'contributor' ){
+	throw new Error('unknown model metadata: ' + key);
+    }
+
+    return vals;
+}
+
+// Whether a request (as a simple object) is an annotation operation on
+// an individual, edge, or model.
+function _annotation_op_p(obj){
+    return us.contains(['individual', 'edge', 'model'], obj['entity']) &&
+	us.contains(['add-annotation', 'remove-annotation'], obj['operation']);
+}
+
+// The ids of the individuals that a request (as a simple object)
+// operates on.
+function _target_ids(obj){
+    var args = obj['arguments'] || {};
+    var ids = [];
+    if( obj['entity'] === 'individual' ){
+	ids = [args['individual'] || args['individual-iri'] ||
+	       args['assign-to-variable']];
+    }else if( obj['entity'] === 'edge' ){
+	ids = [args['subject'], args['object']];
+    }
+    return us.filter(ids, us.isString);
+}
+
+// The entity, model, individual, and fact that a request (as a simple
+// object) operates on.
+function _operand_target(obj){
+    var args = obj['arguments'] || {};
+    return [obj['entity'], args['model-id'] || '', args['individual'] || '',
+	    args['subject'] || '', args['object'] || '',
+	    args['predicate'] || ''];
+}
+
+// A string identifying the thing that a request (as a simple object)
+// adds or removes, so that opposite and repeated operations can be
+// found; null if the request is not one of those. For annotations,
+// there should be a single value.
+function _operand_key(obj){
+    var args = obj['arguments'] || {};
+    var ent = obj['entity'];
+    var op = obj['operation'];
+    var target = _operand_target(obj);
+    var ret = null;
+    if( _annotation_op_p(obj) ){
+	ret = target.concat(['annotation', args['values']]);
+    }else if( ent === 'individual' &&
+	      ( op === 'add-type' || op === 'remove-type' ) ){
+	ret = target.concat(['type', args['expressions']]);
+    }else if( ent === 'edge' && ( op === 'add' || op === 'remove' ) ){
+	ret = target;
+    }else if( ent === 'individual' && op === 'remove' ){
+	ret = target;
+    }
+    if( ret ){ ret = JSON.stringify(ret); }
+    return ret;
+}
+
 /**
  * Constructor for a Minerva request item set.
  * 
@@ -481,6 +818,23 @@ var request_set = function(user_token, model_id, reasoner_p, group_ids){
     anchor._requests = [];
     anchor._last_entity_id = null;
 
+    // The intention of each request in the queue, so that the
+    // intention of the set can be recomputed when it is edited.
+    anchor._request_intentions = [];
+
+    // Named variables, as registered by variable().
+    anchor._variables = {};
+
+    // Identifiers may be put into a consistent form on
+    // serialization; see context().
+    anchor._context = null;
+    anchor._identifier_form = 'curie';
+
+    // Optional checking of facts against a relation registry; see
+    // relation_checking().
+    anchor._relation_checking = {'mode': 'off'};
+    anchor._relation_warnings = [];
+
     // An optional argument, intended to filter an modify input from
     // RISCs (reduced instruction set clients). Intended to help
     // clarify how notcua should, change/interpret the input.
@@ -500,6 +854,9 @@ var request_set = function(user_token, model_id, reasoner_p, group_ids){
     // weakest, unless (almost always) a creative operation is
     // attempted.
     anchor._intention = 'query';
+    // Whether the intention was set by hand with intention(), in which
+    // case edits to the queue leave it alone.
+    anchor._intention_set_p = false;
 
     // An externally facing id. 
     anchor._external_model_id = null;
@@ -538,6 +895,9 @@ var request_set = function(user_token, model_id, reasoner_p, group_ids){
      * Getter/setter for the request set intention, to override, add,
      * or query after request set initialization.
      * 
+     * An intention set here is kept when the queue is edited (e.g. by
+     * {request_set#remove_request}), rather than recomputed.
+     * 
      * @function
      * @memberof module:minerva-requests~request_set
      * @param {String|undef} [intent] - string
@@ -548,6 +908,7 @@ var request_set = function(user_token, model_id, reasoner_p, group_ids){
 	if( us.isString(intent) &&
 	    ( intent === 'action' || intent === 'query' ) ){
 	    anchor._intention = intent;
+	    anchor._intention_set_p = true;
 	}
 
 	return anchor._intention;
@@ -731,6 +1092,74 @@ var request_set = function(user_token, model_id, reasoner_p, group_ids){
 	return anchor._external_return_url;
     };
 
+    /**
+     * Getter/setter for the prefix context used to put identifiers
+     * (individuals, subjects, objects, predicates, classes in class
+     * expressions, and annotation values of type "IRI") into a
+     * consistent form on serialization (see
+     * {request_set#identifier_form}). There is none by default, and
+     * identifiers are sent exactly as given; set to null to go back to
+     * that.
+     *
+     * @alias module:minerva-requests~request_set#context
+     * @function
+     * @memberof module:minerva-requests~request_set
+     * @param {prefix_context|null} [ctx] - {module:minerva-requests/context~prefix_context} or null
+     * @returns {prefix_context|null} the current context
+     */
+    anchor.context = function(ctx){
+	if( typeof(ctx) !== 'undefined' ){
+	    anchor._context = ctx;
+	}
+	return anchor._context;
+    };
+
+    /**
+     * Getter/setter for the form that identifiers are put into on
+     * serialization: 'curie' (e.g. "GO:0003674") or 'iri' (e.g.
+     * "http://purl.obolibrary.org/obo/GO_0003674").
+     *
+     * @alias module:minerva-requests~request_set#identifier_form
+     * @function
+     * @memberof module:minerva-requests~request_set
+     * @param {String} [form] - 'curie' or 'iri'
+     * @returns {String} the current form
+     */
+    anchor.identifier_form = function(form){
+	if( form === 'curie' || form === 'iri' ){
+	    anchor._identifier_form = form;
+	}else if( typeof(form) !== 'undefined' ){
+	    throw new Error('unknown identifier form: ' + form);
+	}
+	return anchor._identifier_form;
+    };
+
+    // A copy of a request (as a simple object) with its identifiers
+    // in the set's form.
+    anchor._normalize_request = function(obj){
+	var ctx = anchor._context;
+	var form = anchor._identifier_form;
+	var ret = JSON.parse(JSON.stringify(obj));
+	var args = ret['arguments'];
+	each(['individual', 'individual-iri', 'subject', 'object', 'predicate'],
+	     function(key){
+		 if( us.isString(args[key]) ){
+		     args[key] = ctx.normalize(args[key], form);
+		 }
+	     });
+	if( us.isArray(args['expressions']) ){
+	    args['expressions'] = us.map(args['expressions'], function(expr){
+		return ctx.normalize_expression(expr, form);
+	    });
+	}
+	each(args['values'] || [], function(val){
+	    if( val['value-type'] === 'IRI' && us.isString(val['value']) ){
+		val['value'] = ctx.normalize(val['value'], form);
+	    }
+	});
+	return ret;
+    };
+
     /**
      * Return the ID of the last individual identified in a call
      * (implicitly or explicitly).
@@ -799,6 +1228,110 @@ var request_set = function(user_token, model_id, reasoner_p, group_ids){
 	return retval;
     };
 
+    /**
+     * Register a named variable for the request set. The returned
+     * name may be used as the individual id when adding an individual
+     * (which then becomes its definition) and as a subject, object, or
+     * individual reference anywhere later in the set.
+     *
+     * @see request_set#check_variables
+     * @alias module:minerva-requests~request_set#variable
+     * @function
+     * @memberof module:minerva-requests~request_set
+     * @param {String} name - the variable name
+     * @returns {String} the variable name, for use as an id
+     */
+    anchor.variable = function(name){
+
+	if( ! us.isString(name) || name === '' ){
+	    throw new Error('variables need a name');
+	}
+	anchor._variables[name] = true;
+
+	return name;
+    };
+
+    /**
+     * Check that every variable referenced in the set (as an
+     * individual, subject, object, or annotation value) is defined by
+     * an earlier "assign-to-variable" request. Variables are the named
+     * ones from {request_set#variable} as well as any implicit ones
+     * assigned in the set.
+     *
+     * Each problem is a simple object with the properties: "index"
+     * (of the referencing request), "code" ('undefined-variable',
+     * 'variable-used-before-definition', or 'variable-redefined'),
+     * "entity", "operation", "argument", "variable", and a
+     * human-readable "message".
+     *
+     * @alias module:minerva-requests~request_set#check_variables
+     * @function
+     * @memberof module:minerva-requests~request_set
+     * @returns {Array} list of problems; empty if none
+     */
+    anchor.check_variables = function(){
+	return anchor._variable_problems([]);
+    };
+
+    // See check_variables(); additional names may be given that are to
+    // be treated as variables, even if not registered or assigned.
+    anchor._variable_problems = function(extra_variables){
+
+	var problems = [];
+
+	// First pass: where is everything defined?
+	var all_args = us.map(anchor._requests, function(req){
+	    return req.objectify()['arguments'];
+	});
+	var definitions = {};
+	each(anchor._variables, function(t, name){ definitions[name] = []; });
+	each(extra_variables, function(name){ definitions[name] = []; });
+	each(all_args, function(args, index){
+	    var v = args['assign-to-variable'];
+	    if( v ){
+		definitions[v] = definitions[v] || [];
+		definitions[v].push(index);
+	    }
+	});
+
+	// Second pass: check all references against definitions.
+	each(all_args, function(args, index){
+	    var req = anchor._requests[index];
+	    function _problem(code, argument, variable, message){
+		problems.push({
+		    'index': index,
+		    'code': code,
+		    'entity': req.entity(),
+		    'operation': req.operation(),
+		    'argument': argument,
+		    'variable': variable,
+		    'message': 'request ' + index + ': ' + message
+		});
+	    }
+
+	    each(_argument_references(args), function(ref){
+		var defs = definitions[ref[1]];
+		if( ! defs ){
+		    // Not a variable.
+		}else if( us.isEmpty(defs) ){
+		    _problem('undefined-variable', ref[0], ref[1],
+			     'variable is never defined: ' + ref[1]);
+		}else if( defs[0] > index ){
+		    _problem('variable-used-before-definition', ref[0], ref[1],
+			     'variable is used before definition: ' + ref[1]);
+		}
+	    });
+
+	    var v = args['assign-to-variable'];
+	    if( v && definitions[v][0] < index ){
+		_problem('variable-redefined', 'assign-to-variable', v,
+			 'variable is defined more than once: ' + v);
+	    }
+	});
+
+	return problems;
+    };
+
     /**
      * Add a request to the queue. This is the most "primitive" method
      * of adding things to the request queue and should only be used
@@ -827,124 +1360,516 @@ var request_set = function(user_token, model_id, reasoner_p, group_ids){
 	}
 
 	anchor._requests.push(req);
+	anchor._request_intentions.push(anchor._request_intention(intention));
 	return anchor;
     };
 
-    /**
-     * Requests necessary to add an instance of with type class to the
-     * model.
-     * 
-     * Expect: "success" and "merge".
-     * 
-     * @alias module:minerva-requests~request_set#add_individual
-     * @function
-     * @memberof module:minerva-requests~request_set
-     * @param {class_expression} [class_expr] - anything that can be taken by <class_expression> constructor; technically optional, but c'mon buddy
-     * @param {String} [individual_id] - if none given, generate random one (preferred in most use cases); if one given, it's assumed to be a known "forced" one (see {individual})
-     * @param {String} [model_id] - string
-     * @returns {String} id of individual added, as string
-     */
-    anchor.add_individual = function(class_expr, individual_id, model_id){
+    // What a request contributes to the intention of the set; see
+    // add().
+    anchor._request_intention = function(intention){
+	var ret = 'query';
+	if( ! intention || intention === 'action' ){
+	    ret = 'action';
+	}
+	return ret;
+    };
 
-	var retval = null;
+    // Perform an edit on the request queue, then recompute the
+    // intention from what is left (unless it was set by hand). If the
+    // edit makes the variable references any worse, it is undone and
+    // an error is thrown.
+    anchor._edit_requests = function(edit_fun){
+
+	// Problems are told apart by their code and variable.
+	function _problem_key(p){ return p['code'] + ' ' + p['variable']; }
+
+	var old_requests = anchor._requests.slice();
+	var old_intentions = anchor._request_intentions.slice();
+	var old_problem_keys =
+		us.map(anchor.check_variables(), _problem_key);
+
+	// Implicit variables are still variables after their definition
+	// is gone.
+	var assigned = [];
+	each(old_requests, function(req){
+	    var v = req.objectify()['arguments']['assign-to-variable'];
+	    if( v ){ assigned.push(v); }
+	});
 
-	var ind_req = new request('individual', 'add');
-	
-	if( class_expr ){
-	    ind_req.add_class_expression(class_expr);
-	}
-	    
-	if( typeof(individual_id) === 'string' ){ // optionally add known id
-	    //ind_req.special('individual-iri', individual_id);
-	    retval = ind_req.individual(individual_id, true);
-	}else{ // generate id (norm)
-	    retval = ind_req.individual();
+	edit_fun();
+
+	var problems = us.reject(anchor._variable_problems(assigned),
+				 function(p){
+				     return us.contains(old_problem_keys,
+							_problem_key(p));
+				 });
+	if( ! us.isEmpty(problems) ){
+	    anchor._requests = old_requests;
+	    anchor._request_intentions = old_intentions;
+	    throw new Error('edit would break variable references: ' +
+			    us.pluck(problems, 'message').join('; '));
 	}
 
-	if( model_id ){ // optionally add
-	    ind_req.model(model_id);
+	if( ! anchor._intention_set_p ){
+	    anchor._intention = 'query';
+	    if( us.contains(anchor._request_intentions, 'action') ){
+		anchor._intention = 'action';
+	    }
 	}
+    };
 
-	anchor.add(ind_req, 'action');
+    // Throw an error if not a usable index into the queue; the end of
+    // the queue is allowed for insertions.
+    anchor._ensure_index = function(index, end_ok_p){
+	var max = anchor._requests.length - 1;
+	if( end_ok_p ){ max = anchor._requests.length; }
+	if( ! us.isNumber(index) || index % 1 !== 0 || index < 0 ||
+	    index > max ){
+	    throw new Error('request index out of range: ' + index);
+	}
+    };
 
-	//return anchor;
-	return retval;
+    /**
+     * The list of requests currently in the queue, in order. The list
+     * is a copy, but the requests are not.
+     *
+     * @alias module:minerva-requests~request_set#requests
+     * @function
+     * @memberof module:minerva-requests~request_set
+     * @returns {Array} list of {request}
+     */
+    anchor.requests = function(){
+	return anchor._requests.slice();
     };
 
     /**
-     * Requests necessary to remove an individual.
-     * 
-     * Expect: "success" and "rebuild".
-     * 
-     * @alias module:minerva-requests~request_set#remove_individual
+     * Remove a request from the queue. The intention of the set is
+     * recomputed from the remaining requests.
+     *
+     * Throws an error (and leaves the queue as it was) if this would
+     * leave a variable referenced without its definition.
+     *
+     * @alias module:minerva-requests~request_set#remove_request
      * @function
      * @memberof module:minerva-requests~request_set
-     * @param {String} individual_id - string
-     * @param {String} [model_id] - string
+     * @param {Number} index - the position of the request to remove
      * @returns {request_set} current request set, modified; suitable for chaining
      */
-    anchor.remove_individual = function(individual_id, model_id){
-
-	if( individual_id ){
-
-	    var ind_req = new request('individual', 'remove');
-	    if( model_id ){ ind_req.model(model_id); } // optionally add
-
-	    ind_req.individual(individual_id); 
-
-	    anchor.add(ind_req, 'action');
-	}
-
+    anchor.remove_request = function(index){
+	anchor._ensure_index(index);
+	anchor._edit_requests(function(){
+	    anchor._requests.splice(index, 1);
+	    anchor._request_intentions.splice(index, 1);
+	});
 	return anchor;
     };
 
-    //  value - string
-    //  model_id - (optional with fact and individual) string
-    anchor._op_type_to_individual = function(op, class_expr, individual_id,
-					     model_id){
-
-	if( op && class_expr && individual_id ){
-	    if( op !== 'add' && op !== 'remove' ){
-		throw new Error('unknown type operation');
-	    }else{
-		var type_req =
-			new request('individual', op + '-type');
-		type_req.individual(individual_id);
-
-		if( model_id ){ type_req.model(model_id); } // optionally add
-
-		// 
-		type_req.add_class_expression(class_expr);
-
-		anchor.add(type_req, 'action');
-	    }
-	}
-
+    /**
+     * Insert a request into the queue, before the request currently at
+     * the index (or at the end). The intention works as in
+     * {request_set#add}.
+     *
+     * Throws an error (and leaves the queue as it was) if this would
+     * reference a variable before its definition.
+     *
+     * @alias module:minerva-requests~request_set#insert_request
+     * @function
+     * @memberof module:minerva-requests~request_set
+     * @param {Number} index - the position for the new request
+     * @param {request} req - <request>
+     * @param {intention} [intention] - 'action' or 'query' ('action' default)
+     * @returns {request_set} current request set, modified; suitable for chaining
+     */
+    anchor.insert_request = function(index, req, intention){
+	anchor._ensure_index(index, true);
+	anchor._edit_requests(function(){
+	    anchor._requests.splice(index, 0, req);
+	    anchor._request_intentions.splice(
+		index, 0, anchor._request_intention(intention));
+	});
 	return anchor;
     };
 
     /**
-     * Add the identified type to the individual. Multiple calls are
-     * logicially treated as an "intersection", but not processed and
-     * displayed as such.
-     * 
-     * @alias module:minerva-requests~request_set#add_type_to_individual
+     * Move a request from one position in the queue to another.
+     *
+     * Throws an error (and leaves the queue as it was) if this would
+     * reference a variable before its definition.
+     *
+     * @alias module:minerva-requests~request_set#move_request
      * @function
      * @memberof module:minerva-requests~request_set
-     * @param {class_expression} class_expr - anything that can be taken by <class_expression> constructor
-     * @param {String} individual_id - string
-     * @param {String} [model_id] - string
+     * @param {Number} from_index - the current position of the request
+     * @param {Number} to_index - the position the request should end up at
      * @returns {request_set} current request set, modified; suitable for chaining
      */
-    anchor.add_type_to_individual = function(class_expr, individual_id,
-					     model_id){
-	return anchor._op_type_to_individual('add', class_expr, individual_id,
-					     model_id);
+    anchor.move_request = function(from_index, to_index){
+	anchor._ensure_index(from_index);
+	anchor._ensure_index(to_index);
+	anchor._edit_requests(function(){
+	    var req = anchor._requests.splice(from_index, 1)[0];
+	    var intent = anchor._request_intentions.splice(from_index, 1)[0];
+	    anchor._requests.splice(to_index, 0, req);
+	    anchor._request_intentions.splice(to_index, 0, intent);
+	});
+	return anchor;
     };
 
     /**
-     * Remove the identified type from the individual.
-     * 
+     * Replace the request at a position in the queue with another.
+     * The intention works as in {request_set#add} and the intention of
+     * the set is recomputed.
+     *
+     * Throws an error (and leaves the queue as it was) if this would
+     * leave a variable referenced without its definition.
+     *
+     * @alias module:minerva-requests~request_set#replace_request
+     * @function
+     * @memberof module:minerva-requests~request_set
+     * @param {Number} index - the position of the request to replace
+     * @param {request} req - <request>
+     * @param {intention} [intention] - 'action' or 'query' ('action' default)
+     * @returns {request_set} current request set, modified; suitable for chaining
+     */
+    anchor.replace_request = function(index, req, intention){
+	anchor._ensure_index(index);
+	anchor._edit_requests(function(){
+	    anchor._requests[index] = req;
+	    anchor._request_intentions[index] =
+		anchor._request_intention(intention);
+	});
+	return anchor;
+    };
+
+    /**
+     * Shrink the request set without changing what it does to a
+     * model, by:
+     *
+     *  - dropping individuals that are created and then removed in the
+     *    set, along with everything done to them in between
+     *  - dropping an add or remove that is overridden by a later
+     *    opposite one (e.g. an annotation added, then removed); if the
+     *    thing could not have existed before the set (it is on an
+     *    individual created in the set), both are dropped
+     *  - dropping repeats of identical requests
+     *  - coalescing annotation additions to the same target into a
+     *    single request with several values
+     *
+     * Requests are only ever combined or dropped when nothing between
+     * them touches the same individuals or facts, and never across
+     * model operations (e.g. "store" or "undo"). The intention of the
+     * set is recomputed from the remaining requests.
+     *
+     * @alias module:minerva-requests~request_set#optimize
+     * @function
+     * @memberof module:minerva-requests~request_set
+     * @returns {request_set} current request set, modified; suitable for chaining
+     */
+    anchor.optimize = function(){
+
+	// Work on copies, one annotation value to a request.
+	var items = [];
+	each(anchor._requests, function(req, index){
+	    var obj = JSON.parse(JSON.stringify(req.objectify()));
+	    var intent = anchor._request_intentions[index];
+	    var vals = obj['arguments']['values'] || [];
+	    if( _annotation_op_p(obj) && vals.length > 1 ){
+		each(vals, function(val){
+		    var copy = JSON.parse(JSON.stringify(obj));
+		    copy['arguments']['values'] = [val];
+		    items.push({'request': copy, 'intention': intent});
+		});
+	    }else{
+		items.push({'request': obj, 'intention': intent});
+	    }
+	});
+	each(items, function(item){
+	    item['dropped_p'] = false;
+	    item['key'] = _operand_key(item['request']);
+	    item['targets'] = _target_ids(item['request']);
+	    item['references'] = us.union(
+		item['targets'],
+		us.map(_argument_references(item['request']['arguments']),
+		       function(ref){ return ref[1]; }));
+	});
+
+	// Model operations (other than annotations) are not moved over.
+	function _barrier_p(item){
+	    return item['request']['entity'] === 'model' &&
+		! _annotation_op_p(item['request']);
+	}
+	function _touches_p(item, ids){
+	    return ! us.isEmpty(us.intersection(item['references'], ids));
+	}
+	// Different annotations and types do not affect each other.
+	function _modifier_p(item){
+	    var obj = item['request'];
+	    return _annotation_op_p(obj) || ( obj['entity'] === 'individual' &&
+		  us.contains(['add-type', 'remove-type'], obj['operation']) );
+	}
+	// Whether the live requests strictly between two positions
+	// leave the individuals of the request at the end alone.
+	function _clear_p(from, to){
+	    var ret = true;
+	    var last = items[to];
+	    for( var k = from + 1; k < to; k++ ){
+		var item = items[k];
+		if( ! item['dropped_p'] &&
+		    ( _barrier_p(item) ||
+		      ( _touches_p(item, last['targets']) &&
+			! ( _modifier_p(item) && _modifier_p(last) &&
+			    item['key'] !== last['key'] ) ) ) ){
+		    ret = false;
+		    break;
+		}
+	    }
+	    return ret;
+	}
+	// The nearest live request before a position that passes a test.
+	function _previous(index, test){
+	    var ret = -1;
+	    for( var k = index - 1; k >= 0; k-- ){
+		if( ! items[k]['dropped_p'] && test(items[k]) ){
+		    ret = k;
+		    break;
+		}
+	    }
+	    return ret;
+	}
+
+	// Individuals created in the set, by where they were created.
+	var created = {};
+	each(items, function(item, index){
+	    var obj = item['request'];
+	    if( obj['entity'] === 'individual' && obj['operation'] === 'add' &&
+		! us.isEmpty(item['targets']) ){
+		created[item['targets'][0]] = index;
+	    }
+	});
+
+	// Individuals created and removed again.
+	each(items, function(item, index){
+	    var obj = item['request'];
+	    var id = item['targets'][0];
+	    if( obj['entity'] === 'individual' &&
+		obj['operation'] === 'remove' && us.has(created, id) &&
+		created[id] < index ){
+
+		var start = created[id];
+		var ok_p = true;
+		for( var k = start + 1; k < items.length; k++ ){
+		    if( ! items[k]['dropped_p'] && k !== index &&
+			( ( k < index && _barrier_p(items[k]) ) ||
+			  ( k > index && _touches_p(items[k], [id]) ) ) ){
+			ok_p = false;
+			break;
+		    }
+		}
+		if( ok_p ){
+		    for( var d = start; d <= index; d++ ){
+			if( d === start || d === index ||
+			    _touches_p(items[d], [id]) ){
+			    items[d]['dropped_p'] = true;
+			}
+		    }
+		}
+	    }
+	});
+
+	// Opposite and repeated operations.
+	each(items, function(item, index){
+	    if( item['dropped_p'] || ! item['key'] ){ return; }
+
+	    var prev = _previous(index, function(p){
+		return p['key'] === item['key'];
+	    });
+	    if( prev === -1 || ! _clear_p(prev, index) ){
+		return;
+	    }
+
+	    var earlier = items[prev];
+	    var earlier_op = earlier['request']['operation'];
+	    var op = item['request']['operation'];
+	    var edge_p = item['request']['entity'] === 'edge' &&
+		    ! _annotation_op_p(item['request']);
+	    var new_p = us.some(item['targets'], function(id){
+		return us.has(created, id) && ! items[created[id]]['dropped_p'] &&
+		    created[id] < prev;
+	    });
+
+	    if( earlier_op === op ){
+		if( JSON.stringify(earlier['request']) ===
+		    JSON.stringify(item['request']) ){
+		    item['dropped_p'] = true;
+		    if( item['intention'] === 'action' ){
+			earlier['intention'] = 'action';
+		    }
+		}
+	    }else if( earlier_op.indexOf('add') === 0 ){
+		// Added, then removed.
+		earlier['dropped_p'] = true;
+		if( new_p ){ item['dropped_p'] = true; }
+	    }else if( ! edge_p ){
+		// Removed, then added. Removing a fact also removes its
+		// annotations, so that one has to stay.
+		earlier['dropped_p'] = true;
+	    }
+	});
+
+	// Annotation additions to the same target.
+	each(items, function(item, index){
+	    var obj = item['request'];
+	    if( item['dropped_p'] || ! _annotation_op_p(obj) ||
+		obj['operation'] !== 'add-annotation' ){
+		return;
+	    }
+
+	    var target = JSON.stringify(_operand_target(obj));
+	    var prev = _previous(index, function(p){
+		return _annotation_op_p(p['request']) &&
+		    JSON.stringify(_operand_target(p['request'])) === target;
+	    });
+	    if( prev !== -1 &&
+		items[prev]['request']['operation'] === 'add-annotation' &&
+		_clear_p(prev, index) ){
+		obj['arguments']['values'] =
+		    items[prev]['request']['arguments']['values'].concat(
+			obj['arguments']['values']);
+		items[prev]['dropped_p'] = true;
+	    }
+	});
+
+	var live = us.reject(items, function(item){
+	    return item['dropped_p'];
+	});
+	anchor._edit_requests(function(){
+	    anchor._requests = us.map(live, function(item){
+		return request.from_object(item['request']);
+	    });
+	    anchor._request_intentions = us.pluck(live, 'intention');
+	});
+
+	return anchor;
+    };
+
+    /**
+     * Requests necessary to add an instance of with type class to the
+     * model.
+     * 
+     * Expect: "success" and "merge".
+     * 
+     * @alias module:minerva-requests~request_set#add_individual
+     * @function
+     * @memberof module:minerva-requests~request_set
+     * @param {class_expression} [class_expr] - anything that can be taken by <class_expression> constructor; technically optional, but c'mon buddy
+     * @param {String} [individual_id] - if none given, generate random one (preferred in most use cases); if a named variable (see {request_set#variable}), assign to it; otherwise, it's assumed to be a known "forced" one (see {individual})
+     * @param {String} [model_id] - string
+     * @returns {String} id of individual added, as string
+     */
+    anchor.add_individual = function(class_expr, individual_id, model_id){
+
+	var retval = null;
+
+	var ind_req = new request('individual', 'add');
+	
+	if( class_expr ){
+	    ind_req.add_class_expression(class_expr);
+	}
+	    
+	if( typeof(individual_id) === 'string' &&
+	    anchor._variables[individual_id] ){ // named variable
+	    retval = ind_req.assign_to_variable(individual_id);
+	}else if( typeof(individual_id) === 'string' ){ // optionally add known id
+	    //ind_req.special('individual-iri', individual_id);
+	    retval = ind_req.individual(individual_id, true);
+	}else{ // generate id (norm)
+	    retval = ind_req.individual();
+	}
+
+	if( model_id ){ // optionally add
+	    ind_req.model(model_id);
+	}
+
+	anchor.add(ind_req, 'action');
+
+	//return anchor;
+	return retval;
+    };
+
+    /**
+     * Requests necessary to remove an individual.
+     * 
+     * Expect: "success" and "rebuild".
+     * 
+     * @alias module:minerva-requests~request_set#remove_individual
+     * @function
+     * @memberof module:minerva-requests~request_set
+     * @param {String} individual_id - string
+     * @param {String} [model_id] - string
+     * @returns {request_set} current request set, modified; suitable for chaining
+     */
+    anchor.remove_individual = function(individual_id, model_id){
+
+	if( individual_id ){
+
+	    var ind_req = new request('individual', 'remove');
+	    if( model_id ){ ind_req.model(model_id); } // optionally add
+
+	    ind_req.individual(individual_id); 
+
+	    anchor.add(ind_req, 'action');
+	}
+
+	return anchor;
+    };
+
+    //  value - string
+    //  model_id - (optional with fact and individual) string
+    anchor._op_type_to_individual = function(op, class_expr, individual_id,
+					     model_id){
+
+	if( op && class_expr && individual_id ){
+	    if( op !== 'add' && op !== 'remove' ){
+		throw new Error('unknown type operation');
+	    }else{
+		var type_req =
+			new request('individual', op + '-type');
+		type_req.individual(individual_id);
+
+		if( model_id ){ type_req.model(model_id); } // optionally add
+
+		// 
+		type_req.add_class_expression(class_expr);
+
+		anchor.add(type_req, 'action');
+	    }
+	}
+
+	return anchor;
+    };
+
+    /**
+     * Add the identified type to the individual. Multiple calls are
+     * logicially treated as an "intersection", but not processed and
+     * displayed as such.
+     * 
+     * @alias module:minerva-requests~request_set#add_type_to_individual
+     * @function
+     * @memberof module:minerva-requests~request_set
+     * @param {class_expression} class_expr - anything that can be taken by <class_expression> constructor
+     * @param {String} individual_id - string
+     * @param {String} [model_id] - string
+     * @returns {request_set} current request set, modified; suitable for chaining
+     */
+    anchor.add_type_to_individual = function(class_expr, individual_id,
+					     model_id){
+	return anchor._op_type_to_individual('add', class_expr, individual_id,
+					     model_id);
+    };
+
+    /**
+     * Remove the identified type from the individual.
+     * 
      * @alias module:minerva-requests~request_set#remove_type_from_individual
      * @function
      * @memberof module:minerva-requests~request_set
@@ -969,11 +1894,118 @@ var request_set = function(user_token, model_id, reasoner_p, group_ids){
 	}
     };
 
+    /**
+     * Getter/setter for checking facts as they are added with
+     * {request_set#add_fact}, using {request_set#fact_problems}.
+     *
+     * The possible options are:
+     *  mode - *[optional]* 'off', 'warn' (collect problems, see {request_set#relation_warnings}), or 'throw' (default 'off')
+     *  registry - *[optional]* {module:minerva-requests/relations~relation_registry} (default: the default registry)
+     *  graph - *[optional]* {module:bbop-graph-noctua} graph of the model, to find the types of individuals not created in this set
+     *  warn - *[optional]* function called with each problem in 'warn' mode
+     *
+     * @alias module:minerva-requests~request_set#relation_checking
+     * @function
+     * @memberof module:minerva-requests~request_set
+     * @param {Object} [options] - see above
+     * @returns {Object} the current options
+     */
+    anchor.relation_checking = function(options){
+	if( options ){
+	    var mode = options['mode'] || 'off';
+	    if( ! us.contains(['off', 'warn', 'throw'], mode) ){
+		throw new Error('unknown relation checking mode: ' + mode);
+	    }
+	    anchor._relation_checking = us.extend({}, options, {'mode': mode});
+	}
+	return us.clone(anchor._relation_checking);
+    };
+
+    /**
+     * The problems found by relation checking in 'warn' mode so far.
+     *
+     * @alias module:minerva-requests~request_set#relation_warnings
+     * @function
+     * @memberof module:minerva-requests~request_set
+     * @returns {Array} list of problems
+     */
+    anchor.relation_warnings = function(){
+	return anchor._relation_warnings.slice();
+    };
+
+    // The ids of the named classes of an individual, as far as they
+    // are known from this set and the graph given to
+    // relation_checking().
+    anchor._individual_classes = function(individual_id){
+
+	var classes = [];
+	function _add(ce){
+	    if( ce.type() === 'class' && ce.class_id() ){
+		var ctx = anchor._context || new context.prefix_context();
+		classes.push(ctx.contract(ce.class_id()));
+	    }
+	}
+
+	each(anchor._requests, function(req){
+	    var args = req.objectify()['arguments'];
+	    var id = null;
+	    if( req.entity() === 'individual' && req.operation() === 'add' ){
+		id = args['assign-to-variable'] || args['individual-iri'];
+	    }else if( req.entity() === 'individual' &&
+		      req.operation() === 'add-type' ){
+		id = args['individual'];
+	    }
+	    if( id && id === individual_id ){
+		each(args['expressions'] || [], function(expr){
+		    _add(new class_expression(expr));
+		});
+	    }
+	});
+
+	var graph = anchor._relation_checking['graph'];
+	if( graph ){
+	    var node = graph.get_node(individual_id);
+	    if( node ){ each(node.types(), _add); }
+	}
+
+	return us.uniq(classes);
+    };
+
+    /**
+     * Check a fact against the relation registry: whether the
+     * predicate is known, and whether the subject and object are the
+     * right kinds of things for it, as far as their types are known
+     * from this set (and the graph given to
+     * {request_set#relation_checking}).
+     *
+     * @see module:minerva-requests/relations~relation_registry#check
+     * @alias module:minerva-requests~request_set#fact_problems
+     * @function
+     * @memberof module:minerva-requests~request_set
+     * @param {Array} triple - list of three strings: [SUBJECT_ID, OBJECT_ID, PREDICATE_ID]
+     * @returns {Array} list of problems; empty if none
+     */
+    anchor.fact_problems = function(triple){
+	anchor._ensure_fact(triple);
+
+	var registry = anchor._relation_checking['registry'] ||
+		new relations.relation_registry();
+	// The registry knows relations by CURIE, whatever is sent.
+	var ctx = anchor._context || new context.prefix_context();
+	var pred = ctx.contract(triple[2]);
+
+	return registry.check(pred, anchor._individual_classes(triple[0]),
+			      anchor._individual_classes(triple[1]));
+    };
+
     /**
      * Requests necessary to add an edge between two instances in a
      * model.
      *
      * Expect: "success" and "merge".
+     *
+     * If relation checking is on (see
+     * {request_set#relation_checking}), the fact is checked first.
      * 
      * @alias module:minerva-requests~request_set#add_fact
      * @function
@@ -985,6 +2017,21 @@ var request_set = function(user_token, model_id, reasoner_p, group_ids){
     anchor.add_fact = function(triple, model_id){
 	anchor._ensure_fact(triple);
 
+	var mode = anchor._relation_checking['mode'];
+	if( mode !== 'off' ){
+	    var problems = anchor.fact_problems(triple);
+	    if( mode === 'throw' && ! us.isEmpty(problems) ){
+		throw new Error('bad fact: ' +
+				us.pluck(problems, 'message').join('; '));
+	    }
+	    each(problems, function(problem){
+		anchor._relation_warnings.push(problem);
+		if( anchor._relation_checking['warn'] ){
+		    anchor._relation_checking['warn'](problem);
+		}
+	    });
+	}
+
 	var edge_req = new request('edge', 'add');
 	if( model_id ){ edge_req.model(model_id); } // optionally add
 
@@ -1025,11 +2072,17 @@ var request_set = function(user_token, model_id, reasoner_p, group_ids){
      * Adds "anonymous" (current GO-style) evidence individual that is
      * referenced in the individual's or fact's annotations to the
      * batch.
+     *
+     * Instead of the evidence id, sources, and with, an evidence
+     * value ({module:minerva-requests/evidence~evidence}) may be given,
+     * followed by the target and the optional model id; its
+     * contributor, date, and comment are added to the evidence
+     * individual as well.
      * 
      * @alias module:minerva-requests~request_set#add_evidence
      * @function
      * @memberof module:minerva-requests~request_set
-     * @param {String} evidence_id - string
+     * @param {String|evidence} evidence_id - string or evidence value
      * @param {String} source_ids - string or list of strings (i.e. PMIDs)
      * @param {String} with_strs - string or list of strings (i.e. "foo"); use null if evidence code does not support "with"
      * @param {String} target_identifier - string (individual_id) or list of 3 strings (fact)
@@ -1039,6 +2092,20 @@ var request_set = function(user_token, model_id, reasoner_p, group_ids){
     anchor.add_evidence = function(evidence_id, source_ids, with_strs,
 				   target_identifier, model_id){
 
+	// Unpack an evidence value.
+	var extra_anns = [];
+	if( what_is(evidence_id) === 'minerva-requests.evidence' ){
+	    var ev = evidence_id;
+	    target_identifier = source_ids;
+	    model_id = with_strs;
+	    evidence_id = ev.code();
+	    source_ids = ev.sources();
+	    with_strs = us.isEmpty(ev.with_from()) ? null : ev.with_from();
+	    extra_anns = us.reject(ev.annotations(), function(ann){
+		return ann['key'] === 'source' || ann['key'] === 'with';
+	    });
+	}
+
 	// Quick check.
 	if( evidence_id && source_ids ){
 
@@ -1058,6 +2125,9 @@ var request_set = function(user_token, model_id, reasoner_p, group_ids){
 	    if( with_strs ){
 		ev_ind_ann_req.add_annotation('with', with_strs);
 	    }
+	    each(extra_anns, function(ann){
+		ev_ind_ann_req.add_annotation(ann['key'], ann['value']);
+	    });
 	    anchor.add(ev_ind_ann_req, 'action');
 
 	    // Switch the final tie-down object--either individual or
@@ -1118,6 +2188,234 @@ var request_set = function(user_token, model_id, reasoner_p, group_ids){
     	return anchor;
     };
 
+    // The entities in a graph that refer to an evidence individual.
+    anchor._evidence_referrers = function(graph, evidence_id){
+	var ret = [];
+	function _refers_p(entity){
+	    return us.some(entity.get_annotations_by_key('evidence'),
+			   function(ann){ return ann.value() === evidence_id; });
+	}
+	each(graph.all_nodes(), function(node){
+	    if( _refers_p(node) ){ ret.push(['individual', node.id()]); }
+	});
+	each(graph.all_edges(), function(edge){
+	    if( _refers_p(edge) ){
+		ret.push(['edge', [edge.subject_id(), edge.object_id(),
+				   edge.predicate_id()]]);
+	    }
+	});
+	return ret;
+    };
+
+    /**
+     * Change an existing evidence individual, as found in a graph.
+     *
+     * The changes are any of the arguments of
+     * {module:minerva-requests/evidence~evidence}: "code", "sources",
+     * "with", "contributor", "date", and "comment"; anything not
+     * mentioned stays as it is (use null to remove a contributor,
+     * date, or comment). Only the changes are checked, so that
+     * evidence with older references (e.g. "MGI:MGI:12345") can still
+     * be corrected.
+     *
+     * If only the annotations change, they are updated in place and
+     * the evidence individual keeps its IRI. If the code changes, a new
+     * evidence individual is created and everything that referred to
+     * the old one (in the graph) is linked to it instead, before the
+     * old one is removed.
+     *
+     * @alias module:minerva-requests~request_set#update_evidence
+     * @function
+     * @memberof module:minerva-requests~request_set
+     * @param {Object|String} evidence_node - the evidence individual, as a {module:bbop-graph-noctua} node or its id
+     * @param {Object} changes - see above
+     * @param {Object} graph - the {module:bbop-graph-noctua} graph the evidence is in
+     * @param {String} [model_id] - string
+     * @returns {String} the id of the evidence individual (a new variable if it was replaced)
+     */
+    anchor.update_evidence = function(evidence_node, changes, graph,
+				      model_id){
+
+	if( what_is(graph) !== 'bbop-graph-noctua.graph' ){
+	    throw new Error('updating evidence needs a bbop-graph-noctua graph');
+	}
+	if( us.isString(evidence_node) ){
+	    evidence_node = graph.get_node(evidence_node);
+	}
+	if( ! evidence_node ){
+	    throw new Error('evidence individual not in graph');
+	}
+	var ev_id = evidence_node.id();
+	changes = changes || {};
+
+	var problems = evidence_problems(changes);
+	if( ! us.isEmpty(problems) ){
+	    throw new Error('bad evidence: ' + problems.join('; '));
+	}
+
+	// The evidence as it is, then as it will be.
+	var keys = {'sources': 'source', 'with': 'with',
+		    'contributor': 'contributor', 'date': 'date',
+		    'comment': 'comment'};
+	var current = {};
+	each(keys, function(ann_key, arg){
+	    current[arg] = us.map(
+		evidence_node.get_annotations_by_key(ann_key),
+		function(ann){ return ann.value(); });
+	});
+	var types = evidence_node.types();
+	var current_code = types[0] ? types[0].class_id() : null;
+	var code = us.has(changes, 'code') ? changes['code'] : current_code;
+
+	// Everything on the evidence individual, by key.
+	var wanted = {};
+	each(keys, function(ann_key, arg){
+	    var vals = current[arg];
+	    if( us.has(changes, arg) ){
+		vals = changes[arg];
+		if( vals === null || typeof(vals) === 'undefined' ){
+		    vals = [];
+		}else if( ! us.isArray(vals) ){
+		    vals = [vals];
+		}
+		vals = us.map(vals, date_string);
+	    }
+	    wanted[ann_key] = vals;
+	});
+
+	var ret = ev_id;
+	if( code === current_code ){
+
+	    // Only what has changed, in (at most) a removal and an
+	    // addition.
+	    var rm_req = new request('individual', 'remove-annotation');
+	    var add_req = new request('individual', 'add-annotation');
+	    each([rm_req, add_req], function(req){
+		req.individual(ev_id);
+		if( model_id ){ req.model(model_id); } // optional
+	    });
+	    each(keys, function(ann_key, arg){
+		var before = current[arg];
+		var after = wanted[ann_key];
+		var gone = us.difference(before, after);
+		var added = us.difference(after, before);
+		if( ! us.isEmpty(gone) ){ rm_req.add_annotation(ann_key, gone); }
+		if( ! us.isEmpty(added) ){ add_req.add_annotation(ann_key, added); }
+	    });
+	    each([rm_req, add_req], function(req){
+		if( req.annotations() ){ anchor.add(req, 'action'); }
+	    });
+
+	}else{
+
+	    // A new evidence individual to replace the old.
+	    var ev_ind_req = new request('individual', 'add');
+	    if( model_id ){ ev_ind_req.model(model_id); } // optional
+	    ev_ind_req.add_class_expression(code);
+	    anchor.add(ev_ind_req, 'action');
+	    ret = ev_ind_req.individual();
+
+	    var ev_ann_req = new request('individual', 'add-annotation');
+	    if( model_id ){ ev_ann_req.model(model_id); } // optional
+	    ev_ann_req.individual(ret);
+	    each(wanted, function(vals, ann_key){
+		each(vals, function(val){
+		    ev_ann_req.add_annotation(ann_key, val);
+		});
+	    });
+	    if( ev_ann_req.annotations() ){ anchor.add(ev_ann_req, 'action'); }
+
+	    each(anchor._evidence_referrers(graph, ev_id), function(ref){
+		anchor._op_annotation_to_target('add', ref[0], ref[1],
+						'evidence', ret, null, model_id);
+	    });
+	    anchor.remove_individual(ev_id, model_id);
+	}
+
+	return ret;
+    };
+
+    /**
+     * Replace the evidence on an existing fact, as found in a graph,
+     * with new evidence.
+     *
+     * Current evidence with the same code as some of the new evidence
+     * is updated in place (see {request_set#update_evidence}). Other
+     * current evidence is removed--or only unlinked from the fact, if
+     * something else also refers to it--and the rest of the new
+     * evidence is added.
+     *
+     * @alias module:minerva-requests~request_set#replace_evidence_on_fact
+     * @function
+     * @memberof module:minerva-requests~request_set
+     * @param {Array} triple - list of three strings: [SUBJECT_ID, OBJECT_ID, PREDICATE_ID]
+     * @param {evidence|Array} new_evidence - evidence value, the arguments for one, or a list of those
+     * @param {Object} graph - the {module:bbop-graph-noctua} graph the fact is in
+     * @param {String} [model_id] - string
+     * @returns {request_set} current request set, modified; suitable for chaining
+     */
+    anchor.replace_evidence_on_fact = function(triple, new_evidence, graph,
+					       model_id){
+	anchor._ensure_fact(triple);
+	if( what_is(graph) !== 'bbop-graph-noctua.graph' ){
+	    throw new Error('replacing evidence needs a bbop-graph-noctua graph');
+	}
+	var edge = graph.get_edge(triple[0], triple[1], triple[2]);
+	if( ! edge ){
+	    throw new Error('fact not in graph: ' + triple.join(' '));
+	}
+
+	if( ! us.isArray(new_evidence) ){ new_evidence = [new_evidence]; }
+	var news = us.map(new_evidence, function(ev){
+	    if( what_is(ev) !== 'minerva-requests.evidence' ){
+		ev = new evidence(ev);
+	    }
+	    return ev;
+	});
+
+	var olds = us.compact(us.map(edge.get_annotations_by_key('evidence'),
+				     function(ann){
+					 return graph.get_node(ann.value());
+				     }));
+
+	// Pair up by code.
+	var unpaired = [];
+	each(news, function(ev){
+	    var index = us.findIndex(olds, function(node){
+		var types = node.types();
+		return types[0] && types[0].class_id() === ev.code();
+	    });
+	    if( index === -1 ){
+		unpaired.push(ev);
+	    }else{
+		anchor.update_evidence(olds[index], {
+		    'sources': ev.sources(),
+		    'with': ev.with_from(),
+		    'contributor': ev.contributor(),
+		    'date': ev.date(),
+		    'comment': ev.comment()
+		}, graph, model_id);
+		olds.splice(index, 1);
+	    }
+	});
+
+	each(olds, function(node){
+	    if( anchor._evidence_referrers(graph, node.id()).length > 1 ){
+		anchor._op_annotation_to_target('remove', 'edge', triple,
+						'evidence', node.id(), null,
+						model_id);
+	    }else{
+		anchor.remove_individual(node.id(), model_id);
+	    }
+	});
+
+	each(unpaired, function(ev){
+	    anchor.add_evidence(ev, triple, model_id);
+	});
+
+	return anchor;
+    };
+
     /**
      * Adds "anonymous" evidence individual that is referenced in the
      * individual's annotations, as well as a fact of it's own to the
@@ -1128,7 +2426,7 @@ var request_set = function(user_token, model_id, reasoner_p, group_ids){
      * @alias module:minerva-requests~request_set#add_evidence_to_last_individual
      * @function
      * @memberof module:minerva-requests~request_set
-     * @param {String} evidence_id - string
+     * @param {String|evidence} evidence_id - string or evidence value (see {request_set#add_evidence}; then followed by the model id only)
      * @param {String} source_ids - null, string, or list of strings (PMIDs, etc.)
      * @param {String} with_strs - string or list of strings (i.e. "foo"); use null if evidence code does not support "with"
      * @param {String} [model_id] - string
@@ -1138,7 +2436,10 @@ var request_set = function(user_token, model_id, reasoner_p, group_ids){
 						      with_strs, model_id){
 
 	var tmp_indv = anchor.last_individual_id();
-	if( tmp_indv ){
+	if( tmp_indv &&
+	    what_is(evidence_id) === 'minerva-requests.evidence' ){
+	    anchor.add_evidence(evidence_id, tmp_indv, source_ids);
+	}else if( tmp_indv ){
 	    anchor.add_evidence(evidence_id, source_ids, with_strs, tmp_indv, model_id);
 	}
 
@@ -1154,7 +2455,7 @@ var request_set = function(user_token, model_id, reasoner_p, group_ids){
      * @alias module:minerva-requests~request_set#add_evidence_to_last_fact
      * @function
      * @memberof module:minerva-requests~request_set
-     * @param {String} evidence_id - string
+     * @param {String|evidence} evidence_id - string or evidence value (see {request_set#add_evidence}; then followed by the model id only)
      * @param {String} source_ids - null, string, or list of strings (PMIDs, etc.)
      * @param {String} with_strs - string or list of strings (i.e. "foo"); use null if evidence code does not support "with"
      * @param {String} [model_id] - string
@@ -1164,13 +2465,80 @@ var request_set = function(user_token, model_id, reasoner_p, group_ids){
 						with_strs, model_id){
 
 	var tmp_triple = anchor.last_fact_triple();
-	if( tmp_triple ){
+	if( tmp_triple &&
+	    what_is(evidence_id) === 'minerva-requests.evidence' ){
+	    anchor.add_evidence(evidence_id, tmp_triple, source_ids);
+	}else if( tmp_triple ){
 	    anchor.add_evidence(evidence_id, source_ids, with_strs, tmp_triple, model_id);
 	}
 
 	return anchor;
     };
 
+    /**
+     * Add the requests for a standard GO-CAM activity unit: a
+     * molecular function individual, enabled by (RO:0002333) a gene
+     * product, part of (BFO:0000050) a biological process, and occurs
+     * in (BFO:0000066) a cellular component. Each part is created as
+     * a new individual, and the evidence is attached to each fact.
+     *
+     * The possible arguments are:
+     *  mf - *[optional]* class expression for the molecular function (default: GO:0003674)
+     *  gp - *[optional]* class expression for the gene product
+     *  bp - *[optional]* class expression for the biological process
+     *  cc - *[optional]* class expression for the cellular component
+     *  evidence - *[optional]* an evidence value ({module:minerva-requests/evidence~evidence}) or the arguments for one; or a list of those
+     *
+     * @alias module:minerva-requests~request_set#add_activity_unit
+     * @function
+     * @memberof module:minerva-requests~request_set
+     * @param {Object} args - see above
+     * @param {String} [model_id] - string
+     * @returns {Object} the ids of the created individuals ("mf", "gp", "bp", "cc"; null if not created) and the list of fact triples ("facts")
+     */
+    anchor.add_activity_unit = function(args, model_id){
+
+	args = args || {};
+	var evidences = args['evidence'] || [];
+	if( ! us.isArray(evidences) ){ evidences = [evidences]; }
+	evidences = us.map(evidences, function(ev){
+	    if( what_is(ev) !== 'minerva-requests.evidence' ){
+		ev = new evidence(ev);
+	    }
+	    return ev;
+	});
+
+	var ret = {
+	    'mf': anchor.add_individual(args['mf'] || 'GO:0003674', null,
+					model_id),
+	    'gp': null,
+	    'bp': null,
+	    'cc': null,
+	    'facts': []
+	};
+
+	// The other parts, each tied to the molecular function.
+	var unit_facts = [
+	    ['gp', 'RO:0002333'],
+	    ['bp', 'BFO:0000050'],
+	    ['cc', 'BFO:0000066']
+	];
+	each(unit_facts, function(rel){
+	    var part = rel[0];
+	    if( args[part] ){
+		ret[part] = anchor.add_individual(args[part], null, model_id);
+		var triple = anchor.add_fact([ret['mf'], ret[part], rel[1]],
+					     model_id);
+		each(evidences, function(ev){
+		    anchor.add_evidence(ev, triple, model_id);
+		});
+		ret['facts'].push(triple);
+	    }
+	});
+
+	return ret;
+    };
+
     // A helper function to sort out all of the different annotation
     // operations and targets in one function.
     //
@@ -1229,12 +2597,22 @@ var request_set = function(user_token, model_id, reasoner_p, group_ids){
      * used to update, add, and remove annotations in the request set.
      * 
      * We are going to ignore the possibility of races.
+     *
+     * Instead of a bbop-graph-noctua entity, a plain description of
+     * the target may be given: an object with one of "individual" (an
+     * id), "fact" (a triple), or "model" (true), and "annotations",
+     * the current list of annotations (objects with "key", "value",
+     * and optionally "value-type").
+     *
+     * Several keys may be updated at once by giving a map of keys to
+     * values instead of the key; the arguments after that are then
+     * the value-type and model id.
      * 
      * @alias module:minerva-requests~request_set#update_annotations
      * @function
      * @memberof module:minerva-requests~request_set
-     * @param {Object} entity - the enity from {module:bbop-graph-noctua} that you want to probe for annotation information to create the update
-     * @param {String} key - the key to update
+     * @param {Object} entity - the enity from {module:bbop-graph-noctua} that you want to probe for annotation information to create the update, or a plain description (see above)
+     * @param {String|Object} key - the key to update, or a map of keys to values
      * @param {String} values - string or list of strings
      * @param {String} [val_type] - value-type to use, as string; defaults to nothing (an implied string, i.e. "xsd:string"), although not explicitly sent
      * @param {String} [model_id] - string
@@ -1243,15 +2621,31 @@ var request_set = function(user_token, model_id, reasoner_p, group_ids){
     anchor.update_annotations = function(entity, key, values, value_type,
 					 model_id){
 
-	// Convert val to a list if necessary.
-	if( what_is(values) === 'string' || what_is(values) === 'number' ){
-	    values = [values];
+	// Sort out what we are updating, as a map of keys to lists of
+	// values.
+	var updates = {};
+	if( us.isObject(key) && ! us.isArray(key) ){
+	    model_id = value_type;
+	    value_type = values;
+	    updates = us.clone(key);
+	}else{
+	    updates[key] = values;
 	}
-	if( what_is(values) !== 'array' ){ throw new Error('unknown argument'); }
+	each(updates, function(vals, k){
+	    // Convert val to a list if necessary.
+	    if( what_is(vals) === 'string' || what_is(vals) === 'number' ){
+		vals = [vals];
+	    }
+	    if( what_is(vals) !== 'array' ){
+		throw new Error('unknown argument');
+	    }
+	    updates[k] = vals;
+	});
 
 	// 
 	var target = null; // string representing the entity internally.
 	var target_identifier = null; // thing identifying the object
+	var current = []; // current annotations as key, value, value-type
 	if( what_is(entity) === 'bbop-graph-noctua.graph' ){
 	    target = 'model';
 	    target_identifier = null;
@@ -1265,27 +2659,521 @@ var request_set = function(user_token, model_id, reasoner_p, group_ids){
 		entity.object_id(),
 		entity.predicate_id()
 	    ];
+	}else if( us.isObject(entity) && us.isString(entity['individual']) ){
+	    target = 'individual';
+	    target_identifier = entity['individual'];
+	}else if( us.isObject(entity) && us.isArray(entity['fact']) ){
+	    anchor._ensure_fact(entity['fact']);
+	    target = 'edge';
+	    target_identifier = entity['fact'];
+	}else if( us.isObject(entity) && entity['model'] ){
+	    target = 'model';
+	    target_identifier = null;
 	}else{
 	    throw new Error('update annotations internal error in enity type');
 	}
+	if( what_is(entity).indexOf('bbop-graph-noctua.') === 0 ){
+	    current = us.map(entity.annotations(), function(ann){
+		return [ann.key(), ann.value(), ann.value_type()];
+	    });
+	}else{
+	    current = us.map(entity['annotations'] || [], function(ann){
+		return [ann['key'], ann['value'], ann['value-type']];
+	    });
+	}
+
+	each(updates, function(vals, k){
+
+	    // Create requests to remove the current contents of the
+	    // keyed annotations in the entity.
+	    each(current, function(ann){
+		if( ann[0] === k ){
+		    anchor._op_annotation_to_target(
+			'remove', target, target_identifier,
+			ann[0], ann[1], ann[2], model_id);
+		}
+	    });
+
+	    // Now add all of the pending annotations.
+	    each(vals, function(val){
+		anchor._op_annotation_to_target(
+		    'add', target, target_identifier, 
+		    k, val, value_type, model_id);
+	    });
+	});
 
-	// Create requests to remove the current contents of the keyed
-	// annotations in the entity.
-	var anns = entity.get_annotations_by_key(key);
+	return anchor;
+    };
+
+    /**
+     * Add the requests necessary to turn one version of a model into
+     * another: the "before" graph is taken to be the current state of
+     * the model on the server and the "after" graph the desired state
+     * (e.g. a local copy that has been edited in a client).
+     *
+     * Individuals are compared by id, facts by their triple, types by
+     * class expression signature, and annotations by key, value, and
+     * value-type. Individuals only in the "after" graph are created
+     * with fresh variables, which are then used in place of their
+     * local ids in the facts and annotations that reference them.
+     *
+     * Facts that hang off of a removed individual are not removed
+     * separately, as Minerva will clean them up with the individual.
+     *
+     * @alias module:minerva-requests~request_set#add_graph_diff
+     * @function
+     * @memberof module:minerva-requests~request_set
+     * @param {Object} before_graph - the {module:bbop-graph-noctua} graph as it is now
+     * @param {Object} after_graph - the {module:bbop-graph-noctua} graph as it should be
+     * @param {String} [model_id] - string
+     * @returns {request_set} current request set, modified; suitable for chaining
+     */
+    anchor.add_graph_diff = function(before_graph, after_graph, model_id){
+
+	if( what_is(before_graph) !== 'bbop-graph-noctua.graph' ||
+	    what_is(after_graph) !== 'bbop-graph-noctua.graph' ){
+	    throw new Error('graph diff needs two bbop-graph-noctua graphs');
+	}
+
+	// Helpers for comparable representations.
+	function _ann_sig(ann){
+	    return [ann.key(), ann.value(), ann.value_type() || ''].join("\t");
+	}
+	function _edge_sig(edge){
+	    return [edge.subject_id(), edge.object_id(),
+		    edge.predicate_id()].join("\t");
+	}
+	// Return the items in a that are not in b, by signature.
+	function _difference(a, b, sig_fun){
+	    var in_b = {};
+	    each(b, function(item){ in_b[sig_fun(item)] = true; });
+	    return us.filter(a, function(item){
+		return ! us.has(in_b, sig_fun(item));
+	    });
+	}
+
+	// Map of local individual ids in the after graph to the
+	// variables they will be created as.
+	var new_ids = {};
+	function _map_id(id){
+	    return us.has(new_ids, id) ? new_ids[id] : id;
+	}
+
+	// Annotation changes between two versions of the same entity.
+	function _annotation_diff(target, target_identifier, before, after){
+	    each(_difference(before.annotations(), after.annotations(),
+			     _ann_sig),
+		 function(ann){
+		     anchor._op_annotation_to_target(
+			 'remove', target, target_identifier,
+			 ann.key(), ann.value(), ann.value_type(), model_id);
+		 });
+	    each(_difference(after.annotations(), before.annotations(),
+			     _ann_sig),
+		 function(ann){
+		     anchor._op_annotation_to_target(
+			 'add', target, target_identifier,
+			 ann.key(), _map_id(ann.value()), ann.value_type(),
+			 model_id);
+		 });
+	}
+
+	var before_nodes = before_graph.all_nodes();
+	var after_nodes = after_graph.all_nodes();
+	var removed_nodes = _difference(before_nodes, after_nodes,
+					function(n){ return n.id(); });
+	var added_nodes = _difference(after_nodes, before_nodes,
+				      function(n){ return n.id(); });
+	var removed_node_p = {};
+	each(removed_nodes, function(n){ removed_node_p[n.id()] = true; });
+
+	// The before graph by id and signature, as ids may be anything.
+	var before_node_index = {};
+	each(before_nodes, function(n){ before_node_index[n.id()] = n; });
+	var before_edge_index = {};
+	each(before_graph.all_edges(), function(e){
+	    before_edge_index[_edge_sig(e)] = e;
+	});
+	function _before_node(id){
+	    return us.has(before_node_index, id) ? before_node_index[id] : null;
+	}
+
+	// Remove facts and individuals that are going away.
+	each(_difference(before_graph.all_edges(), after_graph.all_edges(),
+			 _edge_sig),
+	     function(edge){
+		 if( ! us.has(removed_node_p, edge.subject_id()) &&
+		     ! us.has(removed_node_p, edge.object_id()) ){
+		     anchor.remove_fact([edge.subject_id(), edge.object_id(),
+					 edge.predicate_id()], model_id);
+		 }
+	     });
+	each(removed_nodes, function(node){
+	    anchor.remove_individual(node.id(), model_id);
+	});
+
+	// Create new individuals with all of their types.
+	each(added_nodes, function(node){
+	    var types = node.types();
+	    var var_id = anchor.add_individual(types[0] || null, null, model_id);
+	    each(types.slice(1), function(type){
+		anchor.add_type_to_individual(type, var_id, model_id);
+	    });
+	    new_ids[node.id()] = var_id;
+	});
+
+	// Update types for the individuals that are in both.
+	each(after_nodes, function(after_node){
+	    var before_node = _before_node(after_node.id());
+	    if( before_node ){
+		var sig = function(t){ return t.signature(); };
+		each(_difference(before_node.types(), after_node.types(), sig),
+		     function(type){
+			 anchor.remove_type_from_individual(
+			     type, after_node.id(), model_id);
+		     });
+		each(_difference(after_node.types(), before_node.types(), sig),
+		     function(type){
+			 anchor.add_type_to_individual(
+			     type, after_node.id(), model_id);
+		     });
+	    }
+	});
+
+	// Individual annotations, after all possible references (e.g.
+	// evidence) have been created.
+	var empty_node = after_graph.create_node();
+	each(after_nodes, function(after_node){
+	    var before_node = _before_node(after_node.id());
+	    _annotation_diff('individual', _map_id(after_node.id()),
+			     before_node || empty_node, after_node);
+	});
+
+	// New facts, with their annotations, and annotation changes on
+	// facts that are in both.
+	each(after_graph.all_edges(), function(after_edge){
+	    var triple = [_map_id(after_edge.subject_id()),
+			  _map_id(after_edge.object_id()),
+			  after_edge.predicate_id()];
+	    var before_edge = before_edge_index[_edge_sig(after_edge)];
+	    if( ! us.has(before_edge_index, _edge_sig(after_edge)) ){
+		anchor.add_fact(triple, model_id);
+		before_edge = after_graph.create_edge(triple[0], triple[1],
+						      triple[2]);
+	    }
+	    _annotation_diff('edge', triple, before_edge, after_edge);
+	});
+
+	// And finally the model itself.
+	_annotation_diff('model', null, before_graph, after_graph);
+
+	return anchor;
+    };
+
+    /**
+     * Add the requests necessary to recreate everything in a graph:
+     * every individual (evidence included) with all of its types,
+     * every fact, and all individual, fact, and model annotations.
+     *
+     * The individuals are created with fresh variables, which are
+     * then used in place of their ids in the facts and in annotation
+     * values that reference them (e.g. evidence).
+     *
+     * @see request_set.from_graph
+     * @alias module:minerva-requests~request_set#add_graph
+     * @function
+     * @memberof module:minerva-requests~request_set
+     * @param {Object} graph - the {module:bbop-graph-noctua} graph to recreate
+     * @param {String} [model_id] - string
+     * @returns {Object} map of the individual ids in the graph to the variables they will be created as
+     */
+    anchor.add_graph = function(graph, model_id){
+
+	var new_ids = anchor._copy_graph(graph, null, null, model_id);
+
+	// And the model itself.
+	anchor._copy_annotations('model', null, graph.annotations(),
+				 new_ids, null, model_id);
+
+	return new_ids;
+    };
+
+    /**
+     * Add the requests necessary to recreate a fragment of a graph
+     * (e.g. part of a pathway from another model): the selected
+     * individuals, the facts among them, and their annotations,
+     * along with any individuals (i.e. evidence) that those
+     * annotations reference. Model annotations are not copied.
+     *
+     * As with add_graph, the individuals are created with fresh
+     * variables, which are used in place of their ids everywhere.
+     *
+     * The possible options are:
+     *  contributor - *[optional]* false to drop "contributor" annotations, or a string to use in place of the old values
+     *  date - *[optional]* false to drop "date" annotations, or a Date or string (YYYY-MM-DD) to use in place of the old values
+     *
+     * @see request_set.from_subgraph
+     * @alias module:minerva-requests~request_set#add_subgraph
+     * @function
+     * @memberof module:minerva-requests~request_set
+     * @param {Object} graph - the {module:bbop-graph-noctua} graph to copy from
+     * @param {Array} node_ids - list of the ids of the individuals to copy
+     * @param {Object} [options] - see above
+     * @param {String} [model_id] - string
+     * @returns {Object} map of the copied individual ids to the variables they will be created as
+     */
+    anchor.add_subgraph = function(graph, node_ids, options, model_id){
+
+	if( ! us.isArray(node_ids) ){
+	    throw new Error('need a list of individual ids to copy');
+	}
+	options = options || {};
+
+	// The annotation keys to rewrite or drop.
+	var rewrites = {};
+	each(['contributor', 'date'], function(key){
+	    if( options[key] === false ){
+		rewrites[key] = null;
+	    }else if( us.has(options, key) && options[key] != null ){
+		rewrites[key] = date_string(options[key]);
+	    }
+	});
+
+	return anchor._copy_graph(graph, node_ids, rewrites, model_id);
+    };
+
+    // Add annotations (as a list of bbop-graph-noctua annotations) to
+    // a target (see _op_annotation_to_target), using the new ids for
+    // referenced individuals. The optional rewrites map keys to
+    // either a new value for all of the annotations with that key,
+    // or null to drop them.
+    anchor._copy_annotations = function(target, target_identifier, anns,
+					new_ids, rewrites, model_id){
+	var done = {};
 	each(anns, function(ann){
-	    anchor._op_annotation_to_target(
-		'remove', target, target_identifier,
-    		ann.key(), ann.value(), ann.value_type(), model_id);		
+	    var key = ann.key();
+	    var value = ann.value();
+	    if( us.has(new_ids, value) ){ value = new_ids[value]; }
+	    var value_type = ann.value_type();
+	    if( rewrites && us.has(rewrites, key) ){
+		value = rewrites[key];
+		value_type = null;
+	    }
+	    var sig = [key, value, value_type || ''].join("\t");
+	    if( value !== null && ! us.has(done, sig) ){
+		done[sig] = true;
+		anchor._op_annotation_to_target(
+		    'add', target, target_identifier,
+		    key, value, value_type, model_id);
+	    }
 	});
+    };
+
+    // Recreate the individuals (all if node_ids is null, otherwise
+    // those plus the individuals their annotations reference) and the
+    // facts among them, with annotations; returns the map of old ids
+    // to new variables.
+    anchor._copy_graph = function(graph, node_ids, rewrites, model_id){
+
+	if( what_is(graph) !== 'bbop-graph-noctua.graph' ){
+	    throw new Error('need a bbop-graph-noctua graph to recreate');
+	}
+
+	// Work out which individuals are coming along.
+	var nodes = [];
+	if( node_ids === null ){
+	    nodes = graph.all_nodes();
+	}else{
+	    // Annotation values are arbitrary strings, so look them up
+	    // among the node ids rather than asking the graph.
+	    var node_index = {};
+	    each(graph.all_nodes(), function(node){
+		node_index[node.id()] = node;
+	    });
+	    var seen = {};
+	    var _include = function(id){
+		if( ! us.has(node_index, id) ){
+		    throw new Error('no such individual in graph: ' + id);
+		}
+		if( ! us.has(seen, id) ){
+		    seen[id] = true;
+		    nodes.push(node_index[id]);
+		}
+	    };
+	    each(node_ids, _include);
+	    var _include_referenced = function(anns){
+		each(anns, function(ann){
+		    if( us.has(node_index, ann.value()) ){
+			_include(ann.value());
+		    }
+		});
+	    };
+	    each(nodes.slice(), function(node){
+		_include_referenced(node.annotations());
+	    });
+	    each(graph.all_edges(), function(edge){
+		if( us.contains(node_ids, edge.subject_id()) &&
+		    us.contains(node_ids, edge.object_id()) ){
+		    _include_referenced(edge.annotations());
+		}
+	    });
+	}
+	var included = {};
+	each(nodes, function(node){ included[node.id()] = true; });
+
+	// Individuals with all of their types.
+	var new_ids = {};
+	each(nodes, function(node){
+	    var types = node.types();
+	    var var_id = anchor.add_individual(types[0] || null, null, model_id);
+	    each(types.slice(1), function(type){
+		anchor.add_type_to_individual(type, var_id, model_id);
+	    });
+	    new_ids[node.id()] = var_id;
+	});
+
+	// Their annotations, after all possible references have been
+	// created.
+	each(nodes, function(node){
+	    anchor._copy_annotations('individual', new_ids[node.id()],
+				     node.annotations(), new_ids, rewrites,
+				     model_id);
+	});
+
+	// Facts among them and their annotations.
+	each(graph.all_edges(), function(edge){
+	    if( us.has(included, edge.subject_id()) &&
+		us.has(included, edge.object_id()) ){
+		var triple = [new_ids[edge.subject_id()],
+			      new_ids[edge.object_id()], edge.predicate_id()];
+		anchor.add_fact(triple, model_id);
+		anchor._copy_annotations('edge', triple, edge.annotations(),
+					 new_ids, rewrites, model_id);
+	    }
+	});
+
+	return new_ids;
+    };
+
+    /**
+     * Set model metadata: "title", "state" (one of
+     * {module:minerva-requests.model_states}), "comment",
+     * "contributor", and "date". Title, state, and date take a single
+     * string; comment and contributor a string or list of strings;
+     * date may also be a Date. Anything else is an error.
+     *
+     * The old values are only replaced if the caller passes the
+     * current state of the model: either the model graph or the
+     * current list of model annotations (objects with "key" and
+     * "value"), as with {request_set#update_annotations}. Without it,
+     * nothing is removed and the new values are simply added next to
+     * any old ones on the server.
+     *
+     * @alias module:minerva-requests~request_set#set_model_metadata
+     * @function
+     * @memberof module:minerva-requests~request_set
+     * @param {Object} metadata - map of the keys above to values
+     * @param {Object|Array} [current] - {module:bbop-graph-noctua} graph, or list of annotations; needed to remove the old values
+     * @param {String} [model_id] - string
+     * @returns {request_set} current request set, modified; suitable for chaining
+     */
+    anchor.set_model_metadata = function(metadata, current, model_id){
+
+	// Check everything before adding anything.
+	var updates = {};
+	each(metadata, function(value, key){
+	    updates[key] = _model_metadata_values(key, value);
+	});
+
+	var entity = current;
+	if( what_is(current) !== 'bbop-graph-noctua.graph' ){
+	    entity = {'model': true, 'annotations': current || []};
+	}
+	anchor.update_annotations(entity, updates, null, model_id);
+
+	return anchor;
+    };
+
+    /**
+     * Set the title of a model; old values are only replaced if
+     * the current state is given. See set_model_metadata.
+     *
+     * @alias module:minerva-requests~request_set#set_model_title
+     * @function
+     * @memberof module:minerva-requests~request_set
+     * @param {String} title - string
+     * @param {Object|Array} [current] - {module:bbop-graph-noctua} graph, or list of annotations
+     * @param {String} [model_id] - string
+     * @returns {request_set} current request set, modified; suitable for chaining
+     */
+    anchor.set_model_title = function(title, current, model_id){
+	return anchor.set_model_metadata({'title': title}, current, model_id);
+    };
+
+    /**
+     * Set the state of a model; old values are only replaced if
+     * the current state is given. See set_model_metadata.
+     *
+     * @alias module:minerva-requests~request_set#set_model_state
+     * @function
+     * @memberof module:minerva-requests~request_set
+     * @param {String} state - one of {module:minerva-requests.model_states}
+     * @param {Object|Array} [current] - {module:bbop-graph-noctua} graph, or list of annotations
+     * @param {String} [model_id] - string
+     * @returns {request_set} current request set, modified; suitable for chaining
+     */
+    anchor.set_model_state = function(state, current, model_id){
+	return anchor.set_model_metadata({'state': state}, current, model_id);
+    };
+
+    /**
+     * Set the comments on a model; old values are only replaced if
+     * the current state is given. See set_model_metadata.
+     *
+     * @alias module:minerva-requests~request_set#set_model_comments
+     * @function
+     * @memberof module:minerva-requests~request_set
+     * @param {String|Array} comments - string or list of strings
+     * @param {Object|Array} [current] - {module:bbop-graph-noctua} graph, or list of annotations
+     * @param {String} [model_id] - string
+     * @returns {request_set} current request set, modified; suitable for chaining
+     */
+    anchor.set_model_comments = function(comments, current, model_id){
+	return anchor.set_model_metadata({'comment': comments}, current,
+					 model_id);
+    };
 
-	// Now add all of the pending annotations.
-	each(values, function(val){
-	    anchor._op_annotation_to_target(
-		'add', target, target_identifier, 
-		key, val, value_type, model_id);
-	});
+    /**
+     * Set the contributors to a model; old values are only replaced if
+     * the current state is given. See set_model_metadata.
+     *
+     * @alias module:minerva-requests~request_set#set_model_contributors
+     * @function
+     * @memberof module:minerva-requests~request_set
+     * @param {String|Array} contributors - string or list of strings
+     * @param {Object|Array} [current] - {module:bbop-graph-noctua} graph, or list of annotations
+     * @param {String} [model_id] - string
+     * @returns {request_set} current request set, modified; suitable for chaining
+     */
+    anchor.set_model_contributors = function(contributors, current, model_id){
+	return anchor.set_model_metadata({'contributor': contributors}, current,
+					 model_id);
+    };
 
-	return anchor;
+    /**
+     * Set the date of a model; old values are only replaced if
+     * the current state is given. See set_model_metadata.
+     *
+     * @alias module:minerva-requests~request_set#set_model_date
+     * @function
+     * @memberof module:minerva-requests~request_set
+     * @param {String|Date} date - Date or string (YYYY-MM-DD)
+     * @param {Object|Array} [current] - {module:bbop-graph-noctua} graph, or list of annotations
+     * @param {String} [model_id] - string
+     * @returns {request_set} current request set, modified; suitable for chaining
+     */
+    anchor.set_model_date = function(date, current, model_id){
+	return anchor.set_model_metadata({'date': date}, current, model_id);
     };
 
     /**
@@ -1668,10 +3556,730 @@ var request_set = function(user_token, model_id, reasoner_p, group_ids){
 	return anchor;
     };
 
+    /**
+     * Check all queued requests against the table of legal Minerva
+     * entity/operation combinations and their required arguments
+     * before anything is sent to the server.
+     *
+     * A missing model id is not reported if the request set has a
+     * default model id, or if an earlier request in the set creates a
+     * new model. Problems with variable references are included as
+     * well.
+     *
+     * @see request#validate
+     * @see request_set#check_variables
+     * @alias module:minerva-requests~request_set#validate
+     * @function
+     * @memberof module:minerva-requests~request_set
+     * @returns {Array} list of problems, each with the "index" of the offending request; empty if none
+     */
+    anchor.validate = function(){
+
+	var problems = [];
+
+	var model_implied_p = false;
+	if( anchor._model_id ){ model_implied_p = true; }
+
+	each(anchor._requests, function(req, index){
+	    each(req.validate(model_implied_p), function(problem){
+		problem['index'] = index;
+		problem['message'] = 'request ' + index + ': ' +
+		    problem['message'];
+		problems.push(problem);
+	    });
+
+	    // Everything after a new model may refer to it implicitly.
+	    if( req.entity() === 'model' && req.operation() === 'add' ){
+		model_implied_p = true;
+	    }
+	});
+
+	// Variable references, in request order.
+	problems = us.sortBy(problems.concat(anchor.check_variables()),
+			     'index');
+
+	return problems;
+    };
+
+    /**
+     * Partition the request set into several smaller ones, to be sent
+     * in order. Each part has the same token, model id, groups,
+     * reasoner, and external ids as this one.
+     *
+     * A variable's definition ("assign-to-variable") is always kept in
+     * the same part as the requests that reference it, as are requests
+     * that depend on a model created earlier in the set; requests are
+     * never reordered. If such a group of requests cannot fit within
+     * the limits, an error is thrown.
+     *
+     * The size limit is in bytes of the "requests" argument as sent
+     * (i.e. URI-encoded JSON, see {request_set#callable}).
+     *
+     * The possible options are:
+     *  max_requests - *[optional]* number; the most requests in a part
+     *  max_bytes - *[optional]* number; the largest "requests" in a part
+     *
+     * @alias module:minerva-requests~request_set#split
+     * @function
+     * @memberof module:minerva-requests~request_set
+     * @param {Object} [options] - see above
+     * @returns {Array} list of {request_set}
+     */
+    anchor.split = function(options){
+
+	options = options || {};
+	var max_requests = options['max_requests'] || Infinity;
+	var max_bytes = options['max_bytes'] || Infinity;
+
+	var all_args = us.map(anchor._requests, function(req){
+	    return req.objectify()['arguments'];
+	});
+
+	// For every request, find the furthest request that must be in
+	// the same part: references to variables, or to a model created
+	// in the set.
+	var reach = us.range(all_args.length);
+	var defined_at = {};
+	var model_added_at = null;
+	each(all_args, function(args, index){
+	    var req = anchor._requests[index];
+	    each(_argument_references(args), function(ref){
+		if( us.has(defined_at, ref[1]) ){
+		    reach[defined_at[ref[1]]] = index;
+		}
+	    });
+	    if( model_added_at !== null && ! args['model-id'] &&
+		! anchor._model_id ){
+		reach[model_added_at] = index;
+	    }
+	    if( args['assign-to-variable'] ){
+		defined_at[args['assign-to-variable']] = index;
+	    }
+	    if( req.entity() === 'model' && req.operation() === 'add' ){
+		model_added_at = index;
+	    }
+	});
+
+	// Cut into the smallest contiguous units that nothing reaches
+	// over.
+	var units = [];
+	var start = 0;
+	var end = -1;
+	each(reach, function(r, index){
+	    end = Math.max(end, r);
+	    if( end === index ){
+		units.push([start, index]);
+		start = index + 1;
+	    }
+	});
+
+	// Size of the encoded requests as sent; see callable().
+	var sizes = us.map(anchor._requests, function(req){
+	    return encodeURIComponent(
+		JSON.stringify(anchor._request_object(req))).length;
+	});
+	function _bytes(count, total){
+	    // Brackets, plus a comma between each.
+	    return total + 6 + (3 * Math.max(count - 1, 0));
+	}
+
+	// Greedily pack the units into parts.
+	var parts = [];
+	var current = [];
+	var current_bytes = 0;
+	each(units, function(unit){
+	    var count = unit[1] - unit[0] + 1;
+	    var bytes = 0;
+	    for( var i = unit[0]; i <= unit[1]; i++ ){ bytes += sizes[i]; }
+	    if( count > max_requests || _bytes(count, bytes) > max_bytes ){
+		throw new Error('requests ' + unit[0] + ' to ' + unit[1] +
+				' depend on each other and cannot be split' +
+				' within the limits');
+	    }
+	    if( ! us.isEmpty(current) &&
+		( current.length + count > max_requests ||
+		  _bytes(current.length + count,
+			 current_bytes + bytes) > max_bytes ) ){
+		parts.push(current);
+		current = [];
+		current_bytes = 0;
+	    }
+	    current = current.concat(us.range(unit[0], unit[1] + 1));
+	    current_bytes += bytes;
+	});
+	if( ! us.isEmpty(current) || us.isEmpty(parts) ){
+	    parts.push(current);
+	}
+
+	// Rebuild each part as its own request set.
+	return us.map(parts, function(part){
+	    var rs = new request_set(anchor._user_token, anchor._model_id,
+				     anchor._use_reasoner,
+				     us.clone(anchor._use_groups));
+	    rs.external_model_id(anchor.external_model_id());
+	    rs.external_client_id(anchor.external_client_id());
+	    rs.external_user_id(anchor.external_user_id());
+	    rs.external_individual_id(anchor.external_individual_id());
+	    rs.external_fact_source_id(anchor.external_fact_source_id());
+	    rs.external_fact_target_id(anchor.external_fact_target_id());
+	    rs.external_fact_relation_id(anchor.external_fact_relation_id());
+	    rs.external_return_url(anchor.external_return_url());
+	    rs.context(anchor._context);
+	    rs.identifier_form(anchor._identifier_form);
+	    each(anchor._variables, function(t, name){ rs.variable(name); });
+	    each(part, function(index){
+		rs.add(request.from_object(anchor._requests[index].objectify()),
+		       anchor._request_intentions[index]);
+	    });
+	    return rs;
+	});
+    };
+
+    /**
+     * Create a request set that reverses the changes that this one
+     * makes to a model, given the model as it was before this set was
+     * applied: created individuals and facts are removed, removed ones
+     * are recreated (with their ids, types, annotations, and facts),
+     * and types and annotations are put back the way they were.
+     * Nothing is done for changes that would have had no effect
+     * (e.g. adding an annotation that was already there).
+     *
+     * Individuals created in this set with variables will have been
+     * given ids by the server; these need to be supplied as a map of
+     * variable to id before anything can be done to them (an error is
+     * thrown otherwise), as do forced ids that were changed.
+     *
+     * Creating a model and undo/redo cannot be reversed, and will
+     * throw an error; queries are ignored.
+     *
+     * The new set has the same token, model id, reasoner, and groups
+     * as this one.
+     *
+     * @alias module:minerva-requests~request_set#invert
+     * @function
+     * @memberof module:minerva-requests~request_set
+     * @param {Object} graph - the {module:bbop-graph-noctua} graph this set was applied to
+     * @param {Object} [id_map] - map of variables (or ids) in this set to the ids the server gave them
+     * @returns {request_set} new request set
+     */
+    anchor.invert = function(graph, id_map){
+
+	if( what_is(graph) !== 'bbop-graph-noctua.graph' ){
+	    throw new Error('inverting needs a bbop-graph-noctua graph');
+	}
+	id_map = id_map || {};
+
+	// Variables that the server will have replaced.
+	var assigned = {};
+	each(anchor._requests, function(req){
+	    var v = req.objectify()['arguments']['assign-to-variable'];
+	    if( v ){ assigned[v] = true; }
+	});
+	function _id(id){
+	    var ret = id;
+	    if( us.has(id_map, id) ){
+		ret = id_map[id];
+	    }else if( us.has(assigned, id) ){
+		throw new Error('no id known for created individual: ' + id);
+	    }
+	    return ret;
+	}
+
+	// A simple working copy of the model, updated request by
+	// request.
+	function _ann(key, value, value_type){
+	    return {'key': key, 'value': value, 'value-type': value_type || null};
+	}
+	function _ann_sig(ann){
+	    return [ann['key'], ann['value'], ann['value-type'] || ''].join("\t");
+	}
+	function _graph_anns(entity){
+	    return us.map(entity.annotations(), function(ann){
+		return _ann(ann.key(), ann.value(), ann.value_type());
+	    });
+	}
+	var individuals = {};
+	each(graph.all_nodes(), function(node){
+	    individuals[node.id()] = {
+		'types': node.types().slice(),
+		'annotations': _graph_anns(node)
+	    };
+	});
+	var facts = {};
+	each(graph.all_edges(), function(edge){
+	    var triple = [edge.subject_id(), edge.object_id(),
+			  edge.predicate_id()];
+	    facts[triple.join("\t")] = {
+		'triple': triple,
+		'annotations': _graph_anns(edge)
+	    };
+	});
+	var model_anns = _graph_anns(graph);
+
+	// Change a list of annotations in the working copy, returning
+	// the ones that actually changed.
+	function _change_anns(anns, op, changes){
+	    var ret = [];
+	    each(changes, function(ann){
+		var sig = _ann_sig(ann);
+		var index = us.findIndex(anns, function(a){
+		    return _ann_sig(a) === sig;
+		});
+		if( op === 'add' && index === -1 ){
+		    anns.push(ann);
+		    ret.push(ann);
+		}else if( op === 'remove' && index !== -1 ){
+		    ret.push(anns.splice(index, 1)[0]);
+		}
+	    });
+	    return ret;
+	}
+
+	// Add annotation requests for a target to a set.
+	function _add_ann_ops(rs, op, target, target_identifier, anns,
+			      model_id){
+	    var tid = target_identifier;
+	    if( target === 'individual' ){
+		tid = _id(tid);
+	    }else if( target === 'edge' ){
+		tid = [_id(tid[0]), _id(tid[1]), tid[2]];
+	    }
+	    each(anns, function(ann){
+		rs._op_annotation_to_target(op, target, tid, ann['key'],
+					    _id(ann['value']),
+					    ann['value-type'], model_id);
+	    });
+	}
+
+	// Add requests to a set to recreate a fact.
+	function _add_fact_ops(rs, fact, model_id){
+	    var t = fact['triple'];
+	    rs.add_fact([_id(t[0]), _id(t[1]), t[2]], model_id);
+	    _add_ann_ops(rs, 'add', 'edge', t, fact['annotations'], model_id);
+	}
+
+	// Functions that each add the inverse of a request to a set.
+	var undos = [];
+
+	each(anchor._requests, function(req){
+
+	    var obj = JSON.parse(JSON.stringify(req.objectify()));
+	    var ent = obj['entity'];
+	    var op = obj['operation'];
+	    var args = obj['arguments'];
+	    var mid = args['model-id'] || null;
+	    var vals = us.map(args['values'] || [], function(val){
+		return _ann(val['key'], val['value'], val['value-type']);
+	    });
+	    var triple = [args['subject'], args['object'], args['predicate']];
+	    var sig = triple.join("\t");
+	    var ind_id = args['individual'];
+	    var ind = individuals[ind_id];
+
+	    if( ent === 'meta' ||
+		us.contains(['get', 'store', 'get-undo-redo'], op) ){
+		// Queries and the like.
+	    }else if( ent === 'model' &&
+		      us.contains(['add', 'undo', 'redo'], op) ){
+		throw new Error('cannot invert model ' + op);
+	    }else if( _annotation_op_p(obj) ){
+
+		var target_identifier = null;
+		var anns = model_anns;
+		if( ent === 'individual' ){
+		    target_identifier = ind_id;
+		    anns = ind ? ind['annotations'] : [];
+		}else if( ent === 'edge' ){
+		    target_identifier = triple;
+		    anns = facts[sig] ? facts[sig]['annotations'] : [];
+		}
+		var base_op = op.split('-')[0];
+		var changed = _change_anns(anns, base_op, vals);
+		undos.push(function(rs){
+		    _add_ann_ops(rs, base_op === 'add' ? 'remove' : 'add',
+				 ent, target_identifier, changed, mid);
+		});
+
+	    }else if( ent === 'individual' && op === 'add' ){
+
+		var new_id = args['assign-to-variable'] || args['individual-iri'];
+		individuals[new_id] = {
+		    'types': us.map(args['expressions'] || [], function(expr){
+			return new class_expression(expr);
+		    }),
+		    'annotations': vals
+		};
+		undos.push(function(rs){
+		    rs.remove_individual(_id(new_id), mid);
+		});
+
+	    }else if( ent === 'individual' && op === 'remove' && ind ){
+
+		// Everything that goes with the individual.
+		delete individuals[ind_id];
+		var lost_facts = [];
+		each(us.keys(facts), function(fsig){
+		    var t = facts[fsig]['triple'];
+		    if( t[0] === ind_id || t[1] === ind_id ){
+			lost_facts.push(facts[fsig]);
+			delete facts[fsig];
+		    }
+		});
+		// As well as references to it (e.g. evidence).
+		var lost_refs = [];
+		var _drop_refs = function(target, tid, anns){
+		    var gone = us.filter(anns, function(a){
+			return a['value'] === ind_id;
+		    });
+		    if( ! us.isEmpty(gone) ){
+			_change_anns(anns, 'remove', gone);
+			lost_refs.push([target, tid, gone]);
+		    }
+		};
+		each(individuals, function(other, other_id){
+		    _drop_refs('individual', other_id, other['annotations']);
+		});
+		each(facts, function(fact){
+		    _drop_refs('edge', fact['triple'], fact['annotations']);
+		});
+		_drop_refs('model', null, model_anns);
+
+		undos.push(function(rs){
+		    rs.add_individual(ind['types'][0] || null, _id(ind_id), mid);
+		    each(ind['types'].slice(1), function(type){
+			rs.add_type_to_individual(type, _id(ind_id), mid);
+		    });
+		    _add_ann_ops(rs, 'add', 'individual', ind_id,
+				 ind['annotations'], mid);
+		    each(lost_facts, function(fact){
+			_add_fact_ops(rs, fact, mid);
+		    });
+		    each(lost_refs, function(ref){
+			_add_ann_ops(rs, 'add', ref[0], ref[1], ref[2], mid);
+		    });
+		});
+
+	    }else if( ent === 'individual' &&
+		      ( op === 'add-type' || op === 'remove-type' ) && ind ){
+
+		var type_op = op === 'add-type' ? 'add' : 'remove';
+		var changed_types = [];
+		each(args['expressions'] || [], function(expr){
+		    var ce = new class_expression(expr);
+		    var index = us.findIndex(ind['types'], function(t){
+			return t.signature() === ce.signature();
+		    });
+		    if( type_op === 'add' && index === -1 ){
+			ind['types'].push(ce);
+			changed_types.push(ce);
+		    }else if( type_op === 'remove' && index !== -1 ){
+			changed_types.push(ind['types'].splice(index, 1)[0]);
+		    }
+		});
+		undos.push(function(rs){
+		    each(changed_types, function(ce){
+			rs._op_type_to_individual(
+			    type_op === 'add' ? 'remove' : 'add', ce,
+			    _id(ind_id), mid);
+		    });
+		});
+
+	    }else if( ent === 'edge' && op === 'add' ){
+
+		if( facts[sig] ){
+		    // Already there, so only annotations might change.
+		    var added = _change_anns(facts[sig]['annotations'], 'add',
+					     vals);
+		    undos.push(function(rs){
+			_add_ann_ops(rs, 'remove', 'edge', triple, added, mid);
+		    });
+		}else{
+		    facts[sig] = {'triple': triple, 'annotations': vals};
+		    undos.push(function(rs){
+			rs.remove_fact([_id(triple[0]), _id(triple[1]),
+					triple[2]], mid);
+		    });
+		}
+
+	    }else if( ent === 'edge' && op === 'remove' && facts[sig] ){
+
+		var lost = facts[sig];
+		delete facts[sig];
+		undos.push(function(rs){ _add_fact_ops(rs, lost, mid); });
+	    }
+	});
+
+	// Undo in reverse order.
+	var inverse = new request_set(anchor._user_token, anchor._model_id,
+				      anchor._use_reasoner,
+				      us.clone(anchor._use_groups));
+	inverse.context(anchor._context);
+	inverse.identifier_form(anchor._identifier_form);
+	each(undos.reverse(), function(undo){ undo(inverse); });
+
+	return inverse;
+    };
+
+    /**
+     * Describe what the request set will do, in plain English, with a
+     * sentence for each step; e.g. "Create individual _:ind1 of type
+     * GO:0003674" or "Add fact _:ind1 RO:0002333 _:ind2 with evidence
+     * ECO:0000314 from PMID:123". Evidence individuals are described
+     * where they are used, rather than on their own.
+     *
+     * The possible options are:
+     *  label - *[optional]* function; takes an id (class, relation, individual, etc.) and returns a label to use in its place, or null to use the id
+     *  aliases - *[optional]* boolean; show variables as short aliases ("_:ind1", "_:ev1", or "_:NAME" for named variables) rather than as is (default true)
+     *
+     * @alias module:minerva-requests~request_set#describe
+     * @function
+     * @memberof module:minerva-requests~request_set
+     * @param {Object} [options] - see above
+     * @returns {Array} list of strings
+     */
+    anchor.describe = function(options){
+
+	options = options || {};
+	var label_fun = options['label'] || null;
+	var aliases_p = options['aliases'] !== false;
+
+	var objs = us.map(anchor._requests, function(req){
+	    return JSON.parse(JSON.stringify(req.objectify()));
+	});
+
+	// Find the evidence individuals: created here and used as the
+	// value of an "evidence" annotation.
+	var created = {};
+	var evidences = {};
+	each(objs, function(obj){
+	    var args = obj['arguments'];
+	    if( args['assign-to-variable'] ){
+		created[args['assign-to-variable']] = obj;
+	    }
+	    each(args['values'] || [], function(val){
+		if( val['key'] === 'evidence' && us.has(created, val['value']) ){
+		    evidences[val['value']] = {'sources': [], 'withs': []};
+		}
+	    });
+	});
+
+	// Aliases for variables, in order of creation.
+	var aliases = {};
+	var counts = {'ind': 0, 'ev': 0};
+	each(us.keys(created), function(v){
+	    if( anchor._variables[v] ){
+		aliases[v] = '_:' + v;
+	    }else{
+		var prefix = us.has(evidences, v) ? 'ev' : 'ind';
+		counts[prefix]++;
+		aliases[v] = '_:' + prefix + counts[prefix];
+	    }
+	});
+
+	function _name(id){
+	    var ret = id;
+	    if( us.has(aliases, id) ){
+		if( aliases_p ){ ret = aliases[id]; }
+	    }else if( label_fun && label_fun(id) ){
+		ret = label_fun(id);
+	    }
+	    return ret;
+	}
+	function _expr(expr){
+	    var ret = '???';
+	    var t = expr['type'];
+	    if( t === 'class' ){
+		ret = _name(expr['id']);
+	    }else if( t === 'svf' ){
+		ret = _name(expr['property']['id']) + ' some ' +
+		    _expr(expr['filler']);
+	    }else if( t === 'complement' ){
+		ret = 'not ' + _expr(expr['filler']);
+	    }else if( t === 'union' || t === 'intersection' ){
+		var joint = t === 'union' ? ' or ' : ' and ';
+		ret = '(' + us.map(expr['expressions'], _expr).join(joint) + ')';
+	    }
+	    return ret;
+	}
+	function _evidence(v){
+	    var ev = evidences[v];
+	    var ret = us.map(created[v]['arguments']['expressions'] || [],
+			     _expr).join(' and ');
+	    if( ! us.isEmpty(ev['sources']) ){
+		ret += ' from ' + us.map(ev['sources'], _name).join(', ');
+	    }
+	    if( ! us.isEmpty(ev['withs']) ){
+		ret += ' with ' + us.map(ev['withs'], _name).join(', ');
+	    }
+	    return ret;
+	}
+	function _values(vals){
+	    return us.map(vals, function(val){
+		var str = null;
+		if( val['key'] === 'evidence' && us.has(evidences, val['value']) ){
+		    str = 'evidence ' + _evidence(val['value']);
+		}else if( us.has(aliases, val['value']) ){
+		    str = val['key'] + ' ' + _name(val['value']);
+		}else{
+		    str = val['key'] + ' "' + val['value'] + '"';
+		}
+		return str;
+	    }).join(', ');
+	}
+	function _fact(args){
+	    return 'fact ' + [_name(args['subject']), _name(args['predicate']),
+			      _name(args['object'])].join(' ');
+	}
+	function _model(args){
+	    var mid = args['model-id'] || anchor._model_id;
+	    return mid ? 'model ' + _name(mid) : 'the model';
+	}
+
+	// Source and with annotations on evidence individuals are folded
+	// into the evidence.
+	var folded = [];
+	each(objs, function(obj, index){
+	    var args = obj['arguments'];
+	    var v = args['assign-to-variable'] || args['individual'];
+	    if( obj['entity'] === 'individual' && us.has(evidences, v) &&
+		( obj['operation'] === 'add' ||
+		  ( obj['operation'] === 'add-annotation' &&
+		    us.every(args['values'] || [], function(val){
+			return us.contains(['source', 'with', 'contributor',
+					    'date', 'comment'], val['key']);
+		    }) ) ) ){
+		folded[index] = true;
+		each(args['values'] || [], function(val){
+		    if( val['key'] === 'source' ){
+			evidences[v]['sources'].push(val['value']);
+		    }else if( val['key'] === 'with' ){
+			evidences[v]['withs'].push(val['value']);
+		    }
+		});
+	    }
+	});
+
+	var sentences = [];
+	var last_fact_add = null;
+	each(objs, function(obj, index){
+	    if( folded[index] ){ return; }
+
+	    var ent = obj['entity'];
+	    var op = obj['operation'];
+	    var args = obj['arguments'];
+	    var vals = args['values'] || [];
+	    var str = null;
+
+	    // Evidence for a fact that was just added.
+	    var previous = last_fact_add;
+	    last_fact_add = null;
+	    if( previous && ent === 'edge' && op === 'add-annotation' &&
+		_fact(args) === _fact(previous['arguments']) &&
+		us.every(vals, function(val){
+		    return val['key'] === 'evidence';
+		}) ){
+		sentences[sentences.length - 1] += ' with ' + _values(vals);
+		last_fact_add = previous;
+		return;
+	    }
+
+	    var target = null;
+	    if( ent === 'individual' ){
+		target = 'individual ' + _name(args['individual']);
+	    }else if( ent === 'edge' ){
+		target = _fact(args);
+	    }else if( ent === 'model' ){
+		target = _model(args);
+	    }
+
+	    if( ent === 'individual' && op === 'add' ){
+		str = 'Create individual ' +
+		    _name(args['assign-to-variable'] || args['individual-iri']);
+		if( ! us.isEmpty(args['expressions']) ){
+		    str += ' of type ' +
+			us.map(args['expressions'], _expr).join(' and ');
+		}
+	    }else if( ent === 'individual' && op === 'remove' ){
+		str = 'Remove ' + target;
+	    }else if( op === 'add-type' ){
+		str = 'Add type ' +
+		    us.map(args['expressions'] || [], _expr).join(' and ') +
+		    ' to ' + target;
+	    }else if( op === 'remove-type' ){
+		str = 'Remove type ' +
+		    us.map(args['expressions'] || [], _expr).join(' and ') +
+		    ' from ' + target;
+	    }else if( op === 'add-annotation' &&
+		      us.every(vals, function(val){
+			  return val['key'] === 'evidence';
+		      }) ){
+		str = 'Add ' + _values(vals) + ' to ' + target;
+	    }else if( op === 'add-annotation' ){
+		str = 'Add annotation ' + _values(vals) + ' to ' + target;
+	    }else if( op === 'remove-annotation' ){
+		str = 'Remove annotation ' + _values(vals) + ' from ' + target;
+	    }else if( ent === 'edge' && op === 'add' ){
+		str = 'Add ' + target;
+		last_fact_add = obj;
+	    }else if( ent === 'edge' && op === 'remove' ){
+		str = 'Remove ' + target;
+	    }else if( ent === 'model' && op === 'add' ){
+		str = 'Create a new model';
+	    }else if( ent === 'model' && op === 'get' ){
+		str = 'Get ' + target;
+	    }else if( ent === 'model' && op === 'store' ){
+		str = 'Save ' + target;
+	    }else if( ent === 'model' && op === 'undo' ){
+		str = 'Undo the last change to ' + target;
+	    }else if( ent === 'model' && op === 'redo' ){
+		str = 'Redo the last undone change to ' + target;
+	    }else if( ent === 'model' && op === 'get-undo-redo' ){
+		str = 'Get the undo/redo history of ' + target;
+	    }else if( ent === 'meta' && op === 'get' ){
+		str = 'Get meta information';
+	    }else if( ent === 'meta' && op === 'export-all' ){
+		str = 'Export all models';
+	    }else if( ent === 'meta' && op === 'store-all' ){
+		str = 'Save all models';
+	    }else{
+		str = 'Do ' + ent + ' ' + op;
+	    }
+
+	    // Annotations that come along with a creation.
+	    if( ! us.isEmpty(vals) && op === 'add' ){
+		str += ' with annotation ' + _values(vals);
+	    }
+
+	    sentences.push(str);
+	});
+
+	return sentences;
+    };
+
+    // A request as it is sent to the server, from structure().
+    anchor._request_object = function(req){
+
+	// If possible, add model in cases where is was not supplied.
+	if( ! req.model() && anchor._model_id ){
+	    req.model(anchor._model_id);
+	}
+
+	var ret = req.objectify();
+	if( anchor._context ){
+	    ret = anchor._normalize_request(ret);
+	}
+	return ret;
+    };
+
     /**
      * Create the JSON object that will be passed to the Minerva
      * server.
      * 
+     * Throws an error if an individual, subject, or object refers to
+     * a variable that is used before its definition or never defined,
+     * as the server could not make sense of it. Other variable problems are left to
+     * {request_set#check_variables}.
+     * 
      * @alias module:minerva-requests~request_set#structure
      * @function
      * @memberof module:minerva-requests~request_set
@@ -1725,15 +4333,18 @@ var request_set = function(user_token, model_id, reasoner_p, group_ids){
 	}
 	
 	// Add a JSON stringified request arguments.
-	var reqs = [];
-	each(anchor._requests, function(req){
-	    // If possible, add model in cases where is was not supplied.
-	    if( ! req.model() && anchor._model_id ){
-		req.model(anchor._model_id);
-	    }
-	    reqs.push(req.objectify());
+	rset['requests'] = us.map(anchor._requests, anchor._request_object);
+
+	// Dangling variables would only fail on the server.
+	var var_problems = us.filter(anchor.check_variables(), function(p){
+	    return ( p['code'] === 'undefined-variable' ||
+		     p['code'] === 'variable-used-before-definition' ) &&
+		p['argument'] !== 'values';
 	});
-	rset['requests'] = reqs;
+	if( ! us.isEmpty(var_problems) ){
+	    throw new Error('bad variable references: ' +
+			    us.pluck(var_problems, 'message').join('; '));
+	}
 
 	// However, if there are no requests (possibly in the case
 	// that I'm trying to make a template), there can be no
@@ -1764,6 +4375,282 @@ var request_set = function(user_token, model_id, reasoner_p, group_ids){
 
 	return rset;
     };
+
+    /**
+     * Send the request set with a client (e.g. a
+     * {module:minerva-requests/transport~transport}), retrying with
+     * exponential backoff when that might help: on network errors,
+     * timeouts, 5xx statuses, and Minerva server exceptions. Failed
+     * authentication and malformed requests are never retried.
+     *
+     * As sending an "action" batch again could apply it twice (e.g.
+     * creating duplicate individuals), action batches are only
+     * retried if the caller guarantees that they are idempotent.
+     *
+     * The possible options are:
+     *  retries - *[optional]* number; how many times to retry (default 3)
+     *  delay - *[optional]* number; milliseconds before the first retry (default 500)
+     *  factor - *[optional]* number; how much the delay grows with each retry (default 2)
+     *  max_delay - *[optional]* number; the longest delay in milliseconds (default 30000)
+     *  idempotent - *[optional]* boolean; whether an action batch may be retried (default false)
+     *  send_options - *[optional]* object; passed on to the client's send
+     *  on_retry - *[optional]* function; called with the attempt number, the error or response that failed, and the delay before the next attempt; if it throws, the promise is rejected with that error
+     *
+     * The promise resolves with the last
+     * {module:minerva-requests/response} (which may itself be an
+     * error), or is rejected with the last error from the client; the
+     * error has an "attempts" property. The promise has an additional
+     * "cancel" function, which stops any retries, cancels the current
+     * attempt, and rejects the promise with reason 'cancelled'.
+     *
+     * @alias module:minerva-requests~request_set#execute
+     * @function
+     * @memberof module:minerva-requests~request_set
+     * @param {Object} client - anything with a send(request_set, send_options) function returning a promise of a response
+     * @param {Object} [options] - see above
+     * @returns {Promise} promise of a {module:minerva-requests/response}
+     */
+    anchor.execute = function(client, options){
+
+	if( ! client || ! us.isFunction(client.send) ){
+	    throw new Error('execute needs a client that can send');
+	}
+	options = options || {};
+	function _number(key, dflt){
+	    return us.isNumber(options[key]) ? options[key] : dflt;
+	}
+	var retries = _number('retries', 3);
+	var delay = _number('delay', 500);
+	var factor = _number('factor', 2);
+	var max_delay = _number('max_delay', 30000);
+	if( anchor.intention() === 'action' && options['idempotent'] !== true ){
+	    retries = 0;
+	}
+
+	var attempts = 0;
+	var current = null;
+	var timer = null;
+	var cancelled_p = false;
+	var cancel = null;
+	var promise = new Promise(function(resolve, reject){
+
+	    cancel = function(){
+		if( ! cancelled_p ){
+		    cancelled_p = true;
+		    if( timer ){ clearTimeout(timer); }
+		    if( current && us.isFunction(current.cancel) ){
+			current.cancel();
+		    }
+		    var err = new Error('request cancelled');
+		    err.reason = 'cancelled';
+		    err.attempts = attempts;
+		    reject(err);
+		}
+	    };
+
+	    // Either try again after a while or finish with the outcome.
+	    function _retry_or(finish, outcome, retryable_p){
+		if( cancelled_p ){
+		    // Already settled.
+		}else if( retryable_p && attempts <= retries ){
+		    var wait = Math.min(max_delay,
+					delay * Math.pow(factor, attempts - 1));
+		    if( us.isFunction(options['on_retry']) ){
+			try {
+			    options['on_retry'](attempts, outcome, wait);
+			}catch(e){
+			    // No more tries; the callback's error is final.
+			    cancelled_p = true;
+			    e.attempts = attempts;
+			    reject(e);
+			    return;
+			}
+		    }
+		    if( ! cancelled_p ){ // the callback may have cancelled
+			timer = setTimeout(_attempt, wait);
+		    }
+		}else{
+		    finish(outcome);
+		}
+	    }
+
+	    function _attempt(){
+		timer = null;
+		attempts++;
+		try {
+		    current = client.send(anchor, options['send_options']);
+		}catch(e){
+		    e.attempts = attempts;
+		    reject(e);
+		    return;
+		}
+		current.then(function(resp){
+		    _retry_or(resolve, resp,
+			      resp && us.isFunction(resp.error_type) &&
+			      resp.error_type() === 'server-exception');
+		}, function(err){
+		    err.attempts = attempts;
+		    _retry_or(reject, err,
+			      err.reason === 'network' ||
+			      err.reason === 'timeout' ||
+			      ( err.reason === 'http' && err.status >= 500 ));
+		});
+	    }
+	    _attempt();
+	});
+	promise.cancel = cancel;
+
+	return promise;
+    };
+};
+
+/**
+ * Create a request set that recreates a graph in a new model (e.g. to
+ * clone a model or to make fixtures from real data): a "model add"
+ * followed by {request_set#add_graph}.
+ *
+ * The possible options are:
+ *  token - *[optional]* string; the user token
+ *  groups - *[optional]* list of strings; the groups to use
+ *  reasoner - *[optional]* boolean; whether to use the reasoner
+ *  class-id - *[optional]* string; as in {request_set#add_model}
+ *  taxon-id - *[optional]* string; as in {request_set#add_model}
+ *
+ * @see request_set#add_graph
+ * @function
+ * @memberof module:minerva-requests~request_set
+ * @param {Object} graph - the {module:bbop-graph-noctua} graph to recreate
+ * @param {Object} [options] - see above
+ * @returns {request_set} new request set
+ */
+request_set.from_graph = function(graph, options){
+
+    options = options || {};
+
+    var rs = new request_set(options['token'] || null, null,
+			     options['reasoner'] === true,
+			     options['groups'] || null);
+    rs.add_model({
+	'class-id': options['class-id'],
+	'taxon-id': options['taxon-id']
+    });
+    rs.add_graph(graph);
+
+    return rs;
+};
+
+/**
+ * Create a request set that copies a fragment of a graph into another
+ * model, with {request_set#add_subgraph}.
+ *
+ * The possible options are:
+ *  token - *[optional]* string; the user token
+ *  groups - *[optional]* list of strings; the groups to use
+ *  reasoner - *[optional]* boolean; whether to use the reasoner
+ *  contributor - *[optional]* as in {request_set#add_subgraph}
+ *  date - *[optional]* as in {request_set#add_subgraph}
+ *
+ * @see request_set#add_subgraph
+ * @function
+ * @memberof module:minerva-requests~request_set
+ * @param {Object} graph - the {module:bbop-graph-noctua} graph to copy from
+ * @param {Array} node_ids - list of the ids of the individuals to copy
+ * @param {String} model_id - the id of the model to copy into
+ * @param {Object} [options] - see above
+ * @returns {request_set} new request set
+ */
+request_set.from_subgraph = function(graph, node_ids, model_id, options){
+
+    options = options || {};
+
+    var rs = new request_set(options['token'] || null, model_id,
+			     options['reasoner'] === true,
+			     options['groups'] || null);
+    rs.add_subgraph(graph, node_ids, options);
+
+    return rs;
+};
+
+/**
+ * Rebuild a request set from the output of
+ * {request_set#structure}. The token, intention, reasoner, groups,
+ * and all external ("x-*") fields are restored along with the
+ * requests, so that a recorded payload can be inspected, edited, and
+ * sent again.
+ *
+ * @see request_set.from_callable
+ * @function
+ * @memberof module:minerva-requests~request_set
+ * @param {Object} obj - structure as produced by {request_set#structure}
+ * @returns {request_set} new request set
+ */
+request_set.from_structure = function(obj){
+
+    if( ! obj || ! us.isObject(obj) ){
+	throw new Error('request set structure is not an object');
+    }
+    var requests = obj['requests'] || [];
+    if( ! us.isArray(requests) ){
+	throw new Error('request set structure requests are not a list');
+    }
+
+    var rs = new request_set(obj['token'] || null);
+
+    if( obj['use-reasoner'] === 'true' || obj['use-reasoner'] === true ){
+	rs.use_reasoner(true);
+    }
+    if( us.isArray(obj['provided-by']) ){
+	rs.use_groups(obj['provided-by']);
+    }
+
+    // External arguments.
+    rs.external_model_id(obj['x-model-id']);
+    rs.external_client_id(obj['x-client-id']);
+    rs.external_user_id(obj['x-user-id']);
+    rs.external_individual_id(obj['x-individual-id']);
+    rs.external_fact_source_id(obj['x-fact-source-id']);
+    rs.external_fact_target_id(obj['x-fact-target-id']);
+    rs.external_fact_relation_id(obj['x-fact-relation-id']);
+    rs.external_return_url(obj['x-return-url']);
+
+    // Add the requests with the intentions of their operations, then
+    // restore the recorded intention (if any) for the set--but not as
+    // if set by hand, so that edits still recompute it.
+    var intention = obj['intention'];
+    each(requests, function(req_obj){
+	var req = request.from_object(req_obj);
+	rs.add(req, _operation_intention(req.entity(), req.operation()));
+    });
+    if( intention === 'action' || intention === 'query' ){
+	rs._intention = intention;
+    }
+
+    return rs;
+};
+
+/**
+ * Rebuild a request set from the output of {request_set#callable},
+ * decoding the URI-encoded "requests" string.
+ *
+ * @see request_set.from_structure
+ * @function
+ * @memberof module:minerva-requests~request_set
+ * @param {Object} obj - serialization as produced by {request_set#callable}
+ * @returns {request_set} new request set
+ */
+request_set.from_callable = function(obj){
+
+    if( ! obj || ! us.isObject(obj) ){
+	throw new Error('request set serialization is not an object');
+    }
+
+    var structure = us.clone(obj);
+    if( us.isString(obj['requests']) ){
+	structure['requests'] =
+	    JSON.parse(decodeURIComponent(obj['requests']));
+    }
+
+    return request_set.from_structure(structure);
 };
 
 ///
@@ -1772,8 +4659,23 @@ var request_set = function(user_token, model_id, reasoner_p, group_ids){
 
 module.exports = {
 
+    'operations': operations,
+    'model_states': model_states,
     'request_variable': request_variable,
     'request': request,
-    'request_set': request_set
+    'request_set': request_set,
+    'response': response,
+    'transport': transport.transport,
+    'adapters': transport.adapters,
+    'mock_minerva': mock.mock_minerva,
+    'prefix_context': context.prefix_context,
+    'default_prefixes': context.default_prefixes,
+    'relation_registry': relations.relation_registry,
+    'default_relations': relations.default_relations,
+    'evidence': evidence,
+    'gpad': gpad,
+    'sparql_update': sparql.sparql_update,
+    'request_set_schema': schema.request_set_schema,
+    'validate_structure': schema.validate_structure
 
 };
@@ -0,0 +1,496 @@
+/**
+ * Purpose: Response parsing library for interacting with Minerva.
+ *
+ * This module includes the following objects:
+ *  - response
+ *
+ * @module minerva-requests/response
+ */
+
+var us = require('underscore');
+var each = us.each;
+var bbop = require('bbop-core');
+var what_is = bbop.what_is;
+
+// The exception types and messages of Minerva's complaints about the
+// requests themselves.
+var malformed_exception_re = new RegExp('(MissingParameter|UnknownIdentifier|' +
+					'UnknownOperation|JsonSyntax|' +
+					'IllegalArgument)Exception$');
+var malformed_message_re = new RegExp('^(Expected non-null value for|' +
+				      'Unknown (operation|entity)|' +
+				      'Could not find an? \\w+ for id)');
+
+/**
+ * Contructor for a Minerva response, the counterpart to a
+ * request_set.
+ *
+ * A raw response looks something like:
+ *
+ * : {"message-type": "success", "message": "success", "signal": "merge",
+ * :  "intention": "action", "uid": "GOC:foo", "packet-id": "...",
+ * :  "data": {"id": "gomodel:123", "individuals": [...], "facts": [...]}}
+ *
+ * If the response is an error, it is classified as one of:
+ * 'authentication' (bad token or insufficient permissions),
+ * 'malformed-request' (the server could not use the request
+ * arguments), 'server-exception' (anything else that went wrong on
+ * the server), or 'malformed-response' (the response itself could not
+ * be read).
+ *
+ * @constructor
+ * @param {Object|String} raw - the response, as an object or JSON string
+ * @returns {response} response object
+ */
+var response = function(raw){
+    var anchor = this;
+    anchor._is_a = 'minerva-requests.response';
+
+    // Parse if necessary, but never throw--a bad response is just
+    // another kind of error.
+    anchor._raw = null;
+    anchor._parse_error = null;
+    if( what_is(raw) === 'string' ){
+	try {
+	    raw = JSON.parse(raw);
+	}catch(e){
+	    anchor._parse_error = 'could not parse response: ' + e.message;
+	}
+    }
+    if( ! anchor._parse_error ){
+	if( raw && us.isObject(raw) && ! us.isArray(raw) ){
+	    anchor._raw = raw;
+	}else{
+	    anchor._parse_error = 'response is not an object';
+	}
+    }
+
+    // Get top-level property, or null.
+    anchor._get = function(key){
+	var ret = null;
+	if( anchor._raw && anchor._raw[key] != null ){
+	    ret = anchor._raw[key];
+	}
+	return ret;
+    };
+
+    // Get data-level property, or null.
+    anchor._get_data = function(key){
+	var ret = null;
+	var data = anchor.data();
+	if( data && data[key] != null ){
+	    ret = data[key];
+	}
+	return ret;
+    };
+
+    // Get data-level list property, or empty list.
+    anchor._get_data_list = function(key){
+	var ret = anchor._get_data(key);
+	if( ! us.isArray(ret) ){
+	    ret = [];
+	}
+	return ret;
+    };
+
+    /**
+     * The response as given to the constructor (parsed, if it was a
+     * string).
+     *
+     * @alias module:minerva-requests/response~response#raw
+     * @function
+     * @memberof module:minerva-requests/response~response
+     * @returns {Object|null} object or null
+     */
+    anchor.raw = function(){
+	return anchor._raw;
+    };
+
+    /**
+     * Whether or not the response is a successful one.
+     *
+     * @alias module:minerva-requests/response~response#okay_p
+     * @function
+     * @memberof module:minerva-requests/response~response
+     * @returns {Boolean} boolean
+     */
+    anchor.okay_p = function(){
+	var ret = false;
+	if( ! anchor._parse_error &&
+	    anchor.message_type() === 'success' ){
+	    ret = true;
+	}
+	return ret;
+    };
+
+    /**
+     * The message type of the response: 'success' or 'error' (or
+     * possibly something else in the future).
+     *
+     * @alias module:minerva-requests/response~response#message_type
+     * @function
+     * @memberof module:minerva-requests/response~response
+     * @returns {String|null} string or null
+     */
+    anchor.message_type = function(){
+	var ret = anchor._get('message-type');
+	if( anchor._parse_error ){
+	    ret = 'error';
+	}
+	return ret;
+    };
+
+    /**
+     * The human-readable message of the response.
+     *
+     * @alias module:minerva-requests/response~response#message
+     * @function
+     * @memberof module:minerva-requests/response~response
+     * @returns {String|null} string or null
+     */
+    anchor.message = function(){
+	var ret = anchor._get('message');
+	if( anchor._parse_error ){
+	    ret = anchor._parse_error;
+	}
+	return ret;
+    };
+
+    /**
+     * The signal of the response: how the client is supposed to deal
+     * with the data ('merge', 'rebuild', 'meta').
+     *
+     * @alias module:minerva-requests/response~response#signal
+     * @function
+     * @memberof module:minerva-requests/response~response
+     * @returns {String|null} string or null
+     */
+    anchor.signal = function(){
+	return anchor._get('signal');
+    };
+
+    /**
+     * The intention of the request set this is a response to
+     * ('action' or 'query').
+     *
+     * @alias module:minerva-requests/response~response#intention
+     * @function
+     * @memberof module:minerva-requests/response~response
+     * @returns {String|null} string or null
+     */
+    anchor.intention = function(){
+	return anchor._get('intention');
+    };
+
+    /**
+     * The id of the user that made the request.
+     *
+     * @alias module:minerva-requests/response~response#uid
+     * @function
+     * @memberof module:minerva-requests/response~response
+     * @returns {String|null} string or null
+     */
+    anchor.uid = function(){
+	return anchor._get('uid');
+    };
+
+    /**
+     * The packet id of the response.
+     *
+     * @alias module:minerva-requests/response~response#packet_id
+     * @function
+     * @memberof module:minerva-requests/response~response
+     * @returns {String|null} string or null
+     */
+    anchor.packet_id = function(){
+	return anchor._get('packet-id');
+    };
+
+    /**
+     * The commentary of the response; for errors, this is usually an
+     * object with exception information.
+     *
+     * @alias module:minerva-requests/response~response#commentary
+     * @function
+     * @memberof module:minerva-requests/response~response
+     * @returns {Object|String|null} commentary or null
+     */
+    anchor.commentary = function(){
+	return anchor._get('commentary');
+    };
+
+    /**
+     * The data payload of the response.
+     *
+     * @alias module:minerva-requests/response~response#data
+     * @function
+     * @memberof module:minerva-requests/response~response
+     * @returns {Object|null} object or null
+     */
+    anchor.data = function(){
+	return anchor._get('data');
+    };
+
+    /**
+     * The id of the model that the response is about.
+     *
+     * @alias module:minerva-requests/response~response#model_id
+     * @function
+     * @memberof module:minerva-requests/response~response
+     * @returns {String|null} string or null
+     */
+    anchor.model_id = function(){
+	return anchor._get_data('id');
+    };
+
+    /**
+     * The individuals in the data payload.
+     *
+     * @alias module:minerva-requests/response~response#individuals
+     * @function
+     * @memberof module:minerva-requests/response~response
+     * @returns {Array} list of individuals
+     */
+    anchor.individuals = function(){
+	return anchor._get_data_list('individuals');
+    };
+
+    /**
+     * The facts in the data payload.
+     *
+     * @alias module:minerva-requests/response~response#facts
+     * @function
+     * @memberof module:minerva-requests/response~response
+     * @returns {Array} list of facts
+     */
+    anchor.facts = function(){
+	return anchor._get_data_list('facts');
+    };
+
+    /**
+     * The properties in the data payload.
+     *
+     * @alias module:minerva-requests/response~response#properties
+     * @function
+     * @memberof module:minerva-requests/response~response
+     * @returns {Array} list of properties
+     */
+    anchor.properties = function(){
+	return anchor._get_data_list('properties');
+    };
+
+    /**
+     * The model annotations in the data payload.
+     *
+     * @alias module:minerva-requests/response~response#annotations
+     * @function
+     * @memberof module:minerva-requests/response~response
+     * @returns {Array} list of annotations
+     */
+    anchor.annotations = function(){
+	return anchor._get_data_list('annotations');
+    };
+
+    /**
+     * The undo list from a "get-undo-redo" request.
+     *
+     * @alias module:minerva-requests/response~response#undo
+     * @function
+     * @memberof module:minerva-requests/response~response
+     * @returns {Array} list of undo entries
+     */
+    anchor.undo = function(){
+	return anchor._get_data_list('undo');
+    };
+
+    /**
+     * The redo list from a "get-undo-redo" request.
+     *
+     * @alias module:minerva-requests/response~response#redo
+     * @function
+     * @memberof module:minerva-requests/response~response
+     * @returns {Array} list of redo entries
+     */
+    anchor.redo = function(){
+	return anchor._get_data_list('redo');
+    };
+
+    /**
+     * The inferred types of the individuals in the data payload, as
+     * given by the reasoner.
+     *
+     * @alias module:minerva-requests/response~response#inferred_types
+     * @function
+     * @memberof module:minerva-requests/response~response
+     * @param {String} [individual_id] - only get the inferred types for this individual
+     * @returns {Object|Array} map of individual ids to lists of types, or the list of types for the individual
+     */
+    anchor.inferred_types = function(individual_id){
+
+	var ret = {};
+	each(anchor.individuals(), function(ind){
+	    if( ind && ind['id'] ){
+		ret[ind['id']] = ind['inferred-type'] || [];
+	    }
+	});
+
+	if( us.isString(individual_id) ){
+	    ret = ret[individual_id] || [];
+	}
+
+	return ret;
+    };
+
+    /**
+     * A copy of this response with the identifiers in its data
+     * (individuals and their types, facts, and annotation values) put
+     * into a consistent form by a prefix context.
+     *
+     * @alias module:minerva-requests/response~response#normalize
+     * @function
+     * @memberof module:minerva-requests/response~response
+     * @param {Object} ctx - {module:minerva-requests/context~prefix_context}
+     * @param {String} [form] - 'curie' or 'iri' (default 'curie')
+     * @returns {response} new response
+     */
+    anchor.normalize = function(ctx, form){
+
+	var ret = null;
+	if( ! anchor._raw ){
+	    ret = new response(anchor._raw);
+	    ret._parse_error = anchor._parse_error;
+	}else{
+
+	    var raw = JSON.parse(JSON.stringify(anchor._raw));
+	    var data = raw['data'];
+
+	    function _norm_anns(anns){
+		each(anns || [], function(ann){
+		    if( us.isString(ann['value']) ){
+			ann['value'] = ctx.normalize(ann['value'], form);
+		    }
+		});
+	    }
+	    function _norm_exprs(exprs){
+		return us.map(exprs || [], function(expr){
+		    return ctx.normalize_expression(expr, form);
+		});
+	    }
+
+	    if( data && us.isObject(data) ){
+		each(data['individuals'] || [], function(ind){
+		    if( us.isString(ind['id']) ){
+			ind['id'] = ctx.normalize(ind['id'], form);
+		    }
+		    if( ind['type'] ){
+			ind['type'] = _norm_exprs(ind['type']);
+		    }
+		    if( ind['inferred-type'] ){
+			ind['inferred-type'] = _norm_exprs(ind['inferred-type']);
+		    }
+		    _norm_anns(ind['annotations']);
+		});
+		each(data['facts'] || [], function(fact){
+		    each(['subject', 'object', 'property'], function(key){
+			if( us.isString(fact[key]) ){
+			    fact[key] = ctx.normalize(fact[key], form);
+			}
+		    });
+		    _norm_anns(fact['annotations']);
+		});
+		_norm_anns(data['annotations']);
+	    }
+
+	    ret = new response(raw);
+	}
+
+	return ret;
+    };
+
+    /**
+     * If the response is an error, classify it.
+     *
+     * Only the messages and exception types that Minerva (and Barista)
+     * are known to use for refused or unusable requests count as
+     * 'authentication' or 'malformed-request'; everything else is a
+     * 'server-exception'.
+     *
+     * @alias module:minerva-requests/response~response#error_type
+     * @function
+     * @memberof module:minerva-requests/response~response
+     * @returns {String|null} 'authentication', 'malformed-request', 'server-exception', 'malformed-response', or null if not an error
+     */
+    anchor.error_type = function(){
+
+	var ret = null;
+
+	if( anchor._parse_error ){
+	    ret = 'malformed-response';
+	}else if( ! anchor.okay_p() ){
+
+	    // Gather what we can about the error.
+	    var comm = anchor.commentary();
+	    var exception_type = '';
+	    var exception_msg = '';
+	    if( comm && us.isObject(comm) ){
+		exception_type = comm['exceptionType'] || '';
+		exception_msg = comm['exceptionMsg'] || '';
+	    }
+	    var message = anchor.message() || '';
+
+	    if( /InsufficientPermissionsException$/.test(exception_type) ||
+		/^Insufficient permissions\b/.test(message) ){
+		ret = 'authentication';
+	    }else if( malformed_exception_re.test(exception_type) ||
+		      /^Empty batch request\b/.test(message) ||
+		      malformed_message_re.test(exception_msg) ){
+		ret = 'malformed-request';
+	    }else{
+		ret = 'server-exception';
+	    }
+	}
+
+	return ret;
+    };
+
+    /**
+     * If the response is an error, and it is known which request in
+     * the request set caused it, the index of that request.
+     *
+     * Only available from {module:minerva-requests/mock}: the index
+     * is read from the "request-index" that the mock adds to its error
+     * commentary. Minerva itself does not report which request failed,
+     * so for responses from a real server this is always null.
+     *
+     * @alias module:minerva-requests/response~response#error_request_index
+     * @function
+     * @memberof module:minerva-requests/response~response
+     * @returns {Number|null} index, or null (always, from a real server)
+     */
+    anchor.error_request_index = function(){
+
+	var ret = null;
+
+	if( ! anchor.okay_p() ){
+	    var comm = anchor.commentary();
+	    if( comm && us.isObject(comm) &&
+		us.isNumber(comm['request-index']) ){
+		ret = comm['request-index'];
+	    }else if( us.isNumber(anchor._get('request-index')) ){
+		ret = anchor._get('request-index');
+	    }
+	}
+
+	return ret;
+    };
+};
+
+///
+/// Exportable body.
+///
+
+module.exports = {
+
+    'response': response
+
+};
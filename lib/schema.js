@@ -0,0 +1,150 @@
+/**
+ * Purpose: The JSON Schema for request sets (the output of
+ * request_set#structure), so that payloads made elsewhere can be held
+ * to the same contract, and a validator for it.
+ *
+ * This module includes the following objects:
+ *  - request_set_schema
+ *  - validate_structure
+ *
+ * The schema itself is in "request-set.schema.json" next to this
+ * file. The validator only understands the parts of JSON Schema
+ * (draft 4) that the schema uses: "type", "enum", "minLength",
+ * "properties", "required", "additionalProperties", "items",
+ * "minItems", and local "$ref"s.
+ *
+ * @module minerva-requests/schema
+ */
+
+var us = require('underscore');
+var each = us.each;
+
+/**
+ * The JSON Schema for request sets.
+ *
+ * @name request_set_schema
+ * @memberof module:minerva-requests/schema
+ */
+var request_set_schema = require('./request-set.schema.json');
+
+// The JSON Schema type name of a value.
+function _type(value){
+    var ret = typeof(value);
+    if( value === null ){
+	ret = 'null';
+    }else if( us.isArray(value) ){
+	ret = 'array';
+    }else if( ret === 'number' && value % 1 === 0 ){
+	ret = 'integer';
+    }
+    return ret;
+}
+
+// Whether a value of type "have" satisfies a schema type "want".
+function _type_ok_p(have, want){
+    var wants = us.isArray(want) ? want : [want];
+    return us.contains(wants, have) ||
+	( have === 'integer' && us.contains(wants, 'number') );
+}
+
+// Follow a local reference.
+function _resolve(root, ref){
+    if( ref.indexOf('#/') !== 0 ){
+	throw new Error('cannot follow schema reference: ' + ref);
+    }
+    var ret = root;
+    each(ref.substr(2).split('/'), function(part){
+	ret = ret ? ret[part] : undefined;
+    });
+    if( ! ret ){
+	throw new Error('cannot follow schema reference: ' + ref);
+    }
+    return ret;
+}
+
+// Check a value against a schema, adding to the problems.
+function _check(root, schema, value, path, problems){
+
+    if( schema['$ref'] ){
+	schema = _resolve(root, schema['$ref']);
+    }
+    function _problem(message){
+	problems.push({'path': path || '/', 'message': message});
+    }
+
+    var type = _type(value);
+    if( schema['type'] && ! _type_ok_p(type, schema['type']) ){
+	_problem('expected ' + [].concat(schema['type']).join(' or ') +
+		 ', found ' + type);
+	return;
+    }
+    if( schema['enum'] && ! us.contains(schema['enum'], value) ){
+	_problem('expected one of ' + schema['enum'].join(', ') + ', found ' +
+		 JSON.stringify(value));
+    }
+    if( type === 'string' && us.has(schema, 'minLength') &&
+	value.length < schema['minLength'] ){
+	_problem('string is too short');
+    }
+
+    if( type === 'array' ){
+	if( us.has(schema, 'minItems') && value.length < schema['minItems'] ){
+	    _problem('expected at least ' + schema['minItems'] + ' items');
+	}
+	if( schema['items'] ){
+	    each(value, function(item, i){
+		_check(root, schema['items'], item, path + '/' + i, problems);
+	    });
+	}
+    }
+
+    if( type === 'object' ){
+	var props = schema['properties'] || {};
+	each(schema['required'] || [], function(key){
+	    if( ! us.has(value, key) ){
+		_problem('missing required property: ' + key);
+	    }
+	});
+	each(value, function(sub, key){
+	    var sub_path = path + '/' + key;
+	    if( us.has(props, key) ){
+		_check(root, props[key], sub, sub_path, problems);
+	    }else if( schema['additionalProperties'] === false ){
+		_problem('unknown property: ' + key);
+	    }else if( us.isObject(schema['additionalProperties']) ){
+		_check(root, schema['additionalProperties'], sub, sub_path,
+		       problems);
+	    }
+	});
+    }
+}
+
+/**
+ * Check a request set structure (e.g. from request_set#structure, or
+ * made by hand) against the schema.
+ *
+ * Each problem is a simple object with the properties: "path" (a JSON
+ * pointer to the offending part, e.g. "/requests/0/arguments") and a
+ * human-readable "message".
+ *
+ * @function
+ * @memberof module:minerva-requests/schema
+ * @param {Object} obj - the request set structure
+ * @returns {Array} list of problems; empty if none
+ */
+function validate_structure(obj){
+    var problems = [];
+    _check(request_set_schema, request_set_schema, obj, '', problems);
+    return problems;
+}
+
+///
+/// Exportable body.
+///
+
+module.exports = {
+
+    'request_set_schema': request_set_schema,
+    'validate_structure': validate_structure
+
+};
@@ -0,0 +1,313 @@
+/**
+ * Purpose: Rendering request sets as SPARQL 1.1 UPDATE, to make the
+ * same edits to a copy of the models in a triple store, with one
+ * named graph per model.
+ *
+ * This module includes the following objects:
+ *  - sparql_update
+ *  - annotation_properties
+ *
+ * Models are rendered the way Minerva stores them: individuals are
+ * owl:NamedIndividuals with their types (class expressions as blank
+ * node restrictions), facts are plain triples, and fact annotations
+ * are on a single owl:Axiom reification of the fact. Individuals that
+ * are created with a variable ("assign-to-variable") are given newly
+ * minted IRIs, as blank node labels cannot be shared between the
+ * operations of an update.
+ *
+ * @module minerva-requests/sparql
+ */
+
+var us = require('underscore');
+var each = us.each;
+var bbop = require('bbop-core');
+var uuid = bbop.uuid;
+var context = require('./context');
+
+var OWL = 'http://www.w3.org/2002/07/owl#';
+var RDF = 'http://www.w3.org/1999/02/22-rdf-syntax-ns#';
+var XSD = 'http://www.w3.org/2001/XMLSchema#';
+
+/**
+ * The annotation keys used by Minerva and the annotation properties
+ * they stand for.
+ *
+ * @name annotation_properties
+ * @memberof module:minerva-requests/sparql
+ */
+var annotation_properties = {
+    'title': 'http://purl.org/dc/elements/1.1/title',
+    'contributor': 'http://purl.org/dc/elements/1.1/contributor',
+    'date': 'http://purl.org/dc/elements/1.1/date',
+    'source': 'http://purl.org/dc/elements/1.1/source',
+    'comment': 'http://www.w3.org/2000/01/rdf-schema#comment',
+    'label': 'http://www.w3.org/2000/01/rdf-schema#label',
+    'deprecated': OWL + 'deprecated',
+    'evidence': 'http://geneontology.org/lego/evidence',
+    'with': 'http://geneontology.org/lego/evidence-with',
+    'state': 'http://geneontology.org/lego/modelstate',
+    'providedBy': 'http://purl.org/pav/providedBy',
+    'hint-layout-x': 'http://geneontology.org/lego/hint/layout/x',
+    'hint-layout-y': 'http://geneontology.org/lego/hint/layout/y'
+};
+
+/**
+ * Render a request set as a SPARQL 1.1 UPDATE string.
+ *
+ * Requests that do not change a model (e.g. "get" or "store") are
+ * skipped; undo and redo cannot be rendered and are an error, as are
+ * annotation keys without a known property and types that are too
+ * complicated to match for removal.
+ *
+ * The possible options are:
+ *  context - *[optional]* {module:minerva-requests/context~prefix_context} to expand identifiers with (default: the default prefixes)
+ *  model_id - *[optional]* string; the model for requests that do not name one (e.g. after a "model add")
+ *  mint - *[optional]* function from a variable and the model IRI to the IRI to use for the individual (default: a new UUID in the model, e.g. "http://model.geneontology.org/123/f9a0...")
+ *  annotation_properties - *[optional]* map of additional annotation keys to property IRIs
+ *
+ * @function
+ * @memberof module:minerva-requests/sparql
+ * @param {Object} rset - {module:minerva-requests~request_set}
+ * @param {Object} [options] - see above
+ * @returns {String} SPARQL UPDATE
+ */
+function sparql_update(rset, options){
+
+    options = options || {};
+    var ctx = options['context'] || new context.prefix_context();
+    var props = us.extend({}, annotation_properties,
+			  options['annotation_properties'] || {});
+    var mint = options['mint'] || function(variable, model_iri){
+	return model_iri + '/' + uuid();
+    };
+
+    // Turn an identifier into an IRI term.
+    function _iri(id){
+	var iri = ctx.expand(id);
+	if( ! us.isString(iri) ||
+	    ! /^[^\s<>"{}|^`\\]+:[^\s<>"{}|^`\\]*$/.test(iri) ){
+	    throw new Error('not usable as an IRI: ' + id);
+	}
+	return '<' + iri + '>';
+    }
+
+    // Variables to their minted IRI terms.
+    var minted = {};
+    function _individual(id){
+	return minted[id] || _iri(id);
+    }
+
+    // A literal, typed if necessary.
+    function _literal(value, value_type){
+	var ret = '"' + String(value)
+		.replace(/\\/g, '\\\\').replace(/"/g, '\\"')
+		.replace(/\n/g, '\\n').replace(/\r/g, '\\r') + '"';
+	if( value_type ){
+	    ret += '^^' + _iri(value_type.replace(/^xsd:/, XSD));
+	}
+	return ret;
+    }
+
+    // The term for a class expression structure.
+    function _class_expression(expr){
+	var type = expr && expr['type'];
+	var ret = null;
+	if( type === 'class' ){
+	    ret = _iri(expr['id']);
+	}else if( type === 'svf' ){
+	    ret = '[ a <' + OWL + 'Restriction> ; <' + OWL + 'onProperty> ' +
+		_iri(expr['property']['id']) + ' ; <' + OWL +
+		'someValuesFrom> ' + _class_expression(expr['filler']) + ' ]';
+	}else if( type === 'intersection' || type === 'union' ){
+	    ret = '[ a <' + OWL + 'Class> ; <' + OWL + type + 'Of> ( ' +
+		us.map(expr['expressions'], _class_expression).join(' ') +
+		' ) ]';
+	}else if( type === 'complement' ){
+	    ret = '[ a <' + OWL + 'Class> ; <' + OWL + 'complementOf> ' +
+		_class_expression(expr['filler']) + ' ]';
+	}else{
+	    throw new Error('unknown class expression: ' +
+			    JSON.stringify(expr));
+	}
+	return ret;
+    }
+
+    // The property and object terms of an annotation.
+    function _annotation(val){
+	var key = val['key'];
+	var prop = props[key] || null;
+	if( ! prop ){
+	    throw new Error('no annotation property for key: ' + key);
+	}
+	var obj = null;
+	if( key === 'evidence' || us.has(minted, val['value']) ||
+	    val['value-type'] === 'IRI' ){
+	    obj = _individual(val['value']);
+	}else{
+	    obj = _literal(val['value'], val['value-type']);
+	}
+	return '<' + prop + '> ' + obj;
+    }
+
+    // The predicates and objects of a reified axiom for a fact.
+    function _axiom(s, p, o){
+	return '<' + OWL + 'annotatedSource> ' + s + ' ; <' + OWL +
+	    'annotatedProperty> ' + p + ' ; <' + OWL + 'annotatedTarget> ' + o;
+    }
+
+    // A pattern for axioms with nothing left on them but the fact.
+    function _empty_axiom(s, p, o){
+	return '?ax ' + _axiom(s, p, o) + ' ; ?ap ?av . FILTER NOT EXISTS ' +
+	    '{ ?ax ?other ?x . FILTER(?other NOT IN (<' + RDF + 'type>, <' +
+	    OWL + 'annotatedSource>, <' + OWL + 'annotatedProperty>, <' +
+	    OWL + 'annotatedTarget>)) }';
+    }
+
+    var structure = rset.structure();
+    var updates = [];
+    each(structure['requests'], function(req){
+
+	var ent = req['entity'];
+	var op = req['operation'];
+	var args = req['arguments'] || {};
+
+	// Read-only and housekeeping requests do nothing here.
+	if( ent === 'meta' ||
+	    us.contains(['get', 'get-undo-redo', 'store'], op) ){
+	    return;
+	}
+	if( op === 'undo' || op === 'redo' ){
+	    throw new Error('cannot render model ' + op + ' as SPARQL');
+	}
+
+	var model_id = args['model-id'] || options['model_id'] || null;
+	if( ! model_id ){
+	    throw new Error('no model id for ' + ent + ' ' + op);
+	}
+	var graph = _iri(model_id);
+	function _data(keyword, triples){
+	    if( ! us.isEmpty(triples) ){
+		updates.push(keyword + ' DATA { GRAPH ' + graph + ' { ' +
+			     triples.join(' ') + ' } }');
+	    }
+	}
+	function _modify(keyword, template, where){
+	    updates.push(keyword + ' { GRAPH ' + graph + ' { ' + template +
+			 ' } }' + "\n" + 'WHERE { GRAPH ' + graph + ' { ' +
+			 where + ' } }');
+	}
+	function _delete_where(del, where){
+	    _modify('DELETE', del, where);
+	}
+
+	// The subject of annotation operations.
+	var subject = null;
+	if( ent === 'model' ){
+	    subject = graph;
+	}else if( ent === 'individual' ){
+	    if( us.isString(args['assign-to-variable']) &&
+		! us.isString(args['individual-iri']) ){
+		if( op === 'add' ){
+		    minted[args['assign-to-variable']] =
+			'<' + mint(args['assign-to-variable'],
+				   graph.slice(1, -1)) + '>';
+		}
+		subject = _individual(args['assign-to-variable']);
+	    }else{
+		subject = _individual(args['individual-iri'] ||
+				      args['individual']);
+	    }
+	}
+
+	if( ent === 'model' && op === 'add' ){
+	    updates.push('CREATE SILENT GRAPH ' + graph);
+	    _data('INSERT', [graph + ' a <' + OWL + 'Ontology> .']);
+	}else if( ent === 'individual' && op === 'add' ){
+	    _data('INSERT', [subject + ' a <' + OWL + 'NamedIndividual> .']
+		  .concat(us.map(args['expressions'] || [], function(expr){
+		      return subject + ' a ' + _class_expression(expr) + ' .';
+		  })));
+	}else if( ent === 'individual' && op === 'remove' ){
+	    // The reifications of its facts, and everything reachable
+	    // from its blank node types, go first.
+	    _delete_where('?ax ?ap ?av .',
+			  '?ax <' + OWL + 'annotatedSource>|<' + OWL +
+			  'annotatedTarget> ' + subject + ' ; ?ap ?av .');
+	    _delete_where('?n ?np ?no .',
+			  subject + ' a ?t . ?t (<' + RDF + 'type>|!<' + RDF +
+			  'type>)* ?n . ?n ?np ?no . ' +
+			  'FILTER(isBlank(?t) && isBlank(?n))');
+	    _delete_where(subject + ' ?p ?o .', subject + ' ?p ?o .');
+	    _delete_where('?s ?p ' + subject + ' .', '?s ?p ' + subject + ' .');
+	}else if( ent === 'individual' && op === 'add-type' ){
+	    _data('INSERT', us.map(args['expressions'], function(expr){
+		return subject + ' a ' + _class_expression(expr) + ' .';
+	    }));
+	}else if( ent === 'individual' && op === 'remove-type' ){
+	    each(args['expressions'], function(expr){
+		if( expr['type'] === 'class' ){
+		    _data('DELETE', [subject + ' a ' + _iri(expr['id']) + ' .']);
+		}else if( expr['type'] === 'svf' &&
+			  expr['filler']['type'] === 'class' ){
+		    var restriction = subject + ' a ?r . ?r <' + OWL +
+			    'onProperty> ' + _iri(expr['property']['id']) +
+			    ' ; <' + OWL + 'someValuesFrom> ' +
+			    _iri(expr['filler']['id']) + ' ; ?rp ?ro .';
+		    _delete_where(subject + ' a ?r . ?r ?rp ?ro .', restriction);
+		}else{
+		    throw new Error('cannot render removal of type as SPARQL: ' +
+				    JSON.stringify(expr));
+		}
+	    });
+	}else if( ent === 'edge' ){
+	    var s = _individual(args['subject']);
+	    var p = _iri(args['predicate']);
+	    var o = _individual(args['object']);
+	    if( op === 'add' ){
+		_data('INSERT', [s + ' ' + p + ' ' + o + ' .']);
+	    }else if( op === 'remove' ){
+		_data('DELETE', [s + ' ' + p + ' ' + o + ' .']);
+		_delete_where('?ax ?ap ?av .',
+			      '?ax ' + _axiom(s, p, o) + ' ; ?ap ?av .');
+	    }else if( op === 'add-annotation' ){
+		// Onto the axiom for the fact if there is one, otherwise a
+		// new one.
+		var anns = us.map(args['values'], _annotation).join(' ; ');
+		_modify('INSERT', '?ax ' + anns + ' .',
+			'?ax ' + _axiom(s, p, o) + ' .');
+		_modify('INSERT', '[ a <' + OWL + 'Axiom> ] ' + _axiom(s, p, o) +
+			' ; ' + anns + ' .',
+			'FILTER NOT EXISTS { ?ax ' + _axiom(s, p, o) + ' . }');
+	    }else if( op === 'remove-annotation' ){
+		each(args['values'], function(val){
+		    var ann = _annotation(val);
+		    _delete_where('?ax ' + ann + ' .',
+				  '?ax ' + _axiom(s, p, o) + ' ; ' + ann + ' .');
+		});
+		_delete_where('?ax ?ap ?av .', _empty_axiom(s, p, o));
+	    }else{
+		throw new Error('cannot render edge ' + op + ' as SPARQL');
+	    }
+	}else if( op === 'add-annotation' || op === 'remove-annotation' ){
+	    _data(op === 'add-annotation' ? 'INSERT' : 'DELETE',
+		  us.map(args['values'], function(val){
+		      return subject + ' ' + _annotation(val) + ' .';
+		  }));
+	}else{
+	    throw new Error('cannot render ' + ent + ' ' + op + ' as SPARQL');
+	}
+    });
+
+    return us.isEmpty(updates) ? '' : updates.join(" ;\n") + "\n";
+}
+
+///
+/// Exportable body.
+///
+
+module.exports = {
+
+    'sparql_update': sparql_update,
+    'annotation_properties': annotation_properties
+
+};
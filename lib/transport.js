@@ -0,0 +1,342 @@
+/**
+ * Purpose: Pluggable transport for sending request sets to
+ * Barista/Minerva.
+ *
+ * This module includes the following objects:
+ *  - transport
+ *  - adapters (node, xhr, fetch)
+ *
+ * An adapter is a function that takes a simple description of an
+ * HTTP POST--an object with "url", "body", and "headers"--and returns
+ * an object with a "promise" property, a promise of an object with
+ * "status" (number) and "body" (string), and an "abort" function.
+ *
+ * @module minerva-requests/transport
+ */
+
+var us = require('underscore');
+var each = us.each;
+var response = require('./response').response;
+
+///
+/// Adapters.
+///
+
+/**
+ * Adapter using the Node "http" and "https" modules.
+ *
+ * @function
+ * @memberof module:minerva-requests/transport
+ * @param {Object} req - "url", "body", and "headers"
+ * @returns {Object} "promise" and "abort"
+ */
+function node_adapter(req){
+
+    // Pulled in here so that browser bundles need not deal with it.
+    var url = require('url');
+    var parsed = url.parse(req.url);
+    var lib = require('http');
+    if( parsed.protocol === 'https:' ){
+	lib = require('https');
+    }
+
+    var headers = us.clone(req.headers || {});
+    headers['Content-Length'] = Buffer.byteLength(req.body);
+
+    var http_req = null;
+    var promise = new Promise(function(resolve, reject){
+	http_req = lib.request({
+	    'method': 'POST',
+	    'hostname': parsed.hostname,
+	    'port': parsed.port,
+	    'path': parsed.path,
+	    'headers': headers
+	}, function(res){
+	    var chunks = [];
+	    res.setEncoding('utf8');
+	    res.on('data', function(chunk){ chunks.push(chunk); });
+	    res.on('end', function(){
+		resolve({'status': res.statusCode, 'body': chunks.join('')});
+	    });
+	    res.on('error', reject);
+	});
+	http_req.on('error', reject);
+	http_req.write(req.body);
+	http_req.end();
+    });
+
+    return {
+	'promise': promise,
+	'abort': function(){ http_req.abort(); }
+    };
+}
+
+/**
+ * Adapter using the browser XMLHttpRequest.
+ *
+ * @function
+ * @memberof module:minerva-requests/transport
+ * @param {Object} req - "url", "body", and "headers"
+ * @returns {Object} "promise" and "abort"
+ */
+function xhr_adapter(req){
+
+    var xhr = new XMLHttpRequest();
+    var promise = new Promise(function(resolve, reject){
+	xhr.open('POST', req.url, true);
+	each(req.headers || {}, function(val, key){
+	    xhr.setRequestHeader(key, val);
+	});
+	xhr.onload = function(){
+	    resolve({'status': xhr.status, 'body': xhr.responseText});
+	};
+	xhr.onerror = function(){
+	    reject(new Error('network error'));
+	};
+	xhr.send(req.body);
+    });
+
+    return {
+	'promise': promise,
+	'abort': function(){ xhr.abort(); }
+    };
+}
+
+/**
+ * Adapter using the (browser or newer Node) fetch API. Aborting only
+ * cancels the underlying request if AbortController is available.
+ *
+ * @function
+ * @memberof module:minerva-requests/transport
+ * @param {Object} req - "url", "body", and "headers"
+ * @returns {Object} "promise" and "abort"
+ */
+function fetch_adapter(req){
+
+    var controller = null;
+    if( typeof(AbortController) !== 'undefined' ){
+	controller = new AbortController();
+    }
+
+    var opts = {
+	'method': 'POST',
+	'headers': req.headers || {},
+	'body': req.body
+    };
+    if( controller ){ opts['signal'] = controller.signal; }
+
+    var promise = fetch(req.url, opts).then(function(res){
+	return res.text().then(function(text){
+	    return {'status': res.status, 'body': text};
+	});
+    });
+
+    return {
+	'promise': promise,
+	'abort': function(){ if( controller ){ controller.abort(); } }
+    };
+}
+
+///
+/// Transport.
+///
+
+// Turn a request_set#callable serialization into a form body. The
+// "requests" are already encoded.
+function _form_encode(args){
+    var buff = [];
+    each(args, function(val, key){
+	if( val === null || typeof(val) === 'undefined' ){
+	    // Skip.
+	}else if( key === 'requests' ){
+	    buff.push(key + '=' + val);
+	}else if( us.isArray(val) ){
+	    each(val, function(v){
+		buff.push(key + '=' + encodeURIComponent(v));
+	    });
+	}else{
+	    buff.push(key + '=' + encodeURIComponent(val));
+	}
+    });
+    return buff.join('&');
+}
+
+/**
+ * Contructor for a transport to send request sets to a Barista
+ * server, which will pass them on to Minerva.
+ *
+ * The final URL will look like: BASE_URL/api/NAMESPACE/ENDPOINT
+ * (e.g. http://barista.berkeleybop.org/api/minerva_local/m3Batch).
+ *
+ * The possible options are:
+ *  namespace - *[optional]* string; the Minerva namespace (default 'minerva_local')
+ *  endpoint - *[optional]* string; 'm3Batch' or 'm3BatchPrivileged' (default: privileged if the request set has a token)
+ *  timeout - *[optional]* number; milliseconds before giving up (default: 0, no timeout)
+ *  adapter - *[optional]* 'node', 'xhr', 'fetch', or an adapter function (default: 'xhr' if available, else 'node')
+ *
+ * Sent requests are promises of a {module:minerva-requests/response}
+ * for any response from the server with a 2xx status. Otherwise,
+ * they are rejected with an Error with a "reason" property:
+ * 'timeout', 'cancelled', 'network', or 'http' (the latter also with
+ * "status" and "response" properties).
+ *
+ * @constructor
+ * @param {String} base_url - the Barista location
+ * @param {Object} [options] - see above
+ * @returns {transport} transport object
+ */
+var transport = function(base_url, options){
+    var anchor = this;
+    anchor._is_a = 'minerva-requests.transport';
+
+    if( ! us.isString(base_url) || base_url === '' ){
+	throw new Error('transport needs a base url');
+    }
+    options = options || {};
+
+    // Strip trailing slashes for assembly.
+    anchor._base_url = base_url.replace(/\/+$/, '');
+    anchor._namespace = options['namespace'] || 'minerva_local';
+    anchor._endpoint = options['endpoint'] || null;
+    anchor._timeout = options['timeout'] || 0;
+
+    // Decide adapter.
+    var adapter = options['adapter'];
+    if( us.isFunction(adapter) ){
+	anchor._adapter = adapter;
+    }else if( us.has(adapters, adapter) ){
+	anchor._adapter = adapters[adapter];
+    }else if( typeof(adapter) === 'undefined' || adapter === null ){
+	if( typeof(XMLHttpRequest) !== 'undefined' ){
+	    anchor._adapter = xhr_adapter;
+	}else{
+	    anchor._adapter = node_adapter;
+	}
+    }else{
+	throw new Error('unknown transport adapter: ' + adapter);
+    }
+
+    /**
+     * The URL that a request set would be sent to.
+     *
+     * @alias module:minerva-requests/transport~transport#url
+     * @function
+     * @memberof module:minerva-requests/transport~transport
+     * @param {request_set} [rset] - the request set to decide the default endpoint
+     * @param {String} [endpoint] - 'm3Batch' or 'm3BatchPrivileged'; overrides the transport and default
+     * @returns {String} url
+     */
+    anchor.url = function(rset, endpoint){
+
+	var ep = endpoint || anchor._endpoint;
+	if( ! ep ){
+	    if( rset && rset.token() ){
+		ep = 'm3BatchPrivileged';
+	    }else{
+		ep = 'm3Batch';
+	    }
+	}
+
+	return [anchor._base_url, 'api', anchor._namespace, ep].join('/');
+    };
+
+    /**
+     * Send a request set to the server.
+     *
+     * The returned promise has an additional "cancel" function, which
+     * aborts the request and rejects the promise with reason
+     * 'cancelled'.
+     *
+     * @alias module:minerva-requests/transport~transport#send
+     * @function
+     * @memberof module:minerva-requests/transport~transport
+     * @param {request_set} rset - the request set to send
+     * @param {Object} [send_options] - per-request "endpoint" and "timeout", overriding the transport
+     * @returns {Promise} promise of a {module:minerva-requests/response}
+     */
+    anchor.send = function(rset, send_options){
+
+	send_options = send_options || {};
+	var timeout = anchor._timeout;
+	if( us.isNumber(send_options['timeout']) ){
+	    timeout = send_options['timeout'];
+	}
+
+	var handle = anchor._adapter({
+	    'url': anchor.url(rset, send_options['endpoint']),
+	    'body': _form_encode(rset.callable()),
+	    'headers': {
+		'Content-Type': 'application/x-www-form-urlencoded'
+	    }
+	});
+
+	var done_p = false;
+	var timer = null;
+	var cancel = null;
+	var promise = new Promise(function(resolve, reject){
+
+	    // Settle only once, whatever finishes first.
+	    function _settle(fun, val){
+		if( ! done_p ){
+		    done_p = true;
+		    if( timer ){ clearTimeout(timer); }
+		    fun(val);
+		}
+	    }
+	    function _fail(reason, message, extra){
+		var err = new Error(message);
+		err.reason = reason;
+		us.extend(err, extra || {});
+		_settle(reject, err);
+	    }
+
+	    cancel = function(){
+		if( ! done_p ){
+		    _fail('cancelled', 'request cancelled');
+		    handle.abort();
+		}
+	    };
+
+	    if( timeout > 0 ){
+		timer = setTimeout(function(){
+		    _fail('timeout', 'request timed out after ' + timeout + 'ms');
+		    handle.abort();
+		}, timeout);
+	    }
+
+	    handle.promise.then(function(raw){
+		if( raw['status'] >= 200 && raw['status'] < 300 ){
+		    _settle(resolve, new response(raw['body']));
+		}else{
+		    _fail('http', 'server responded with ' + raw['status'], {
+			'status': raw['status'],
+			'response': new response(raw['body'])
+		    });
+		}
+	    }, function(err){
+		_fail('network', 'network error: ' + (err && err.message));
+	    });
+	});
+	promise.cancel = cancel;
+
+	return promise;
+    };
+};
+
+// Named adapters.
+var adapters = {
+    'node': node_adapter,
+    'xhr': xhr_adapter,
+    'fetch': fetch_adapter
+};
+
+///
+/// Exportable body.
+///
+
+module.exports = {
+
+    'transport': transport,
+    'adapters': adapters
+
+};
@@ -0,0 +1,152 @@
+////
+//// Some unit testing for identifier prefix contexts.
+////
+
+var chai = require('chai');
+chai.config.includeStack = true;
+var assert = chai.assert;
+var minerva_requests = require('..');
+var prefix_context = minerva_requests.prefix_context;
+var request_set = minerva_requests.request_set;
+var response = minerva_requests.response;
+
+///
+/// Start unit testing.
+///
+
+describe('prefix contexts', function(){
+
+    it('expand and contract', function(){
+	var ctx = new prefix_context();
+
+	var iri = 'http://purl.obolibrary.org/obo/GO_0003674';
+	assert.equal(ctx.expand('GO:0003674'), iri, 'expand');
+	assert.equal(ctx.expand('obo:GO_0003674'), iri, 'expand obo');
+	assert.equal(ctx.contract(iri), 'GO:0003674', 'contract');
+	assert.equal(ctx.contract('obo:GO_0003674'), 'GO:0003674',
+		     'longest namespace wins');
+
+	assert.equal(ctx.normalize('obo:GO_0003674', 'iri'), iri, 'to iri');
+	assert.equal(ctx.normalize(iri), 'GO:0003674', 'to curie');
+	assert.throws(function(){ ctx.normalize(iri, 'foo'); }, Error);
+    });
+
+    it('leaves unknown things alone', function(){
+	var ctx = new prefix_context();
+
+	var ids = ['FOO:123', 'http://example.org/x', 'a comment: here',
+		   'b0d5c5a1-0000', '', null];
+	ids.forEach(function(id){
+	    assert.equal(ctx.contract(id), id, 'contract ' + id);
+	    assert.equal(ctx.expand(id), id, 'expand ' + id);
+	});
+    });
+
+    it('custom prefixes', function(){
+	var ctx = new prefix_context({});
+	assert.deepEqual(ctx.prefixes(), {}, 'empty');
+	ctx.add_prefix('FOO', 'http://example.org/foo/');
+	assert.equal(ctx.contract('http://example.org/foo/1'), 'FOO:1', 'ok');
+	assert.throws(function(){ ctx.add_prefix('BAR'); }, Error);
+    });
+
+    it('class expressions', function(){
+	var ctx = new prefix_context();
+	var expr = {
+	    'type': 'svf',
+	    'property': {'type': 'property', 'id': 'obo:BFO_0000050'},
+	    'filler': {'type': 'class',
+		       'id': 'http://purl.obolibrary.org/obo/GO_0005634'}
+	};
+	var norm = ctx.normalize_expression(expr);
+	assert.equal(norm['property']['id'], 'BFO:0000050', 'property');
+	assert.equal(norm['filler']['id'], 'GO:0005634', 'filler');
+	assert.equal(expr['property']['id'], 'obo:BFO_0000050', 'untouched');
+    });
+});
+
+describe('request sets use prefix contexts', function(){
+
+    it('identifiers are sent as given by default', function(){
+
+	var reqs = new request_set('utoken', 'gomodel:123');
+	reqs.add_individual('obo:GO_0003674');
+	assert.isNull(reqs.context(), 'no context');
+	assert.equal(reqs.structure()['requests'][0]['arguments']
+		     ['expressions'][0]['id'], 'obo:GO_0003674', 'as given');
+    });
+
+    it('identifiers are consistent on serialization', function(){
+
+	var reqs = new request_set('utoken', 'gomodel:123');
+	reqs.context(new prefix_context());
+	var mf = reqs.add_individual('obo:GO_0003674');
+	reqs.add_fact([mf, 'gomodel:123/gp1',
+		       'http://purl.obolibrary.org/obo/RO_0002333']);
+	reqs.add_annotation_to_individual('comment', 'not: an id', null, mf);
+	reqs.add_annotation_to_individual('source',
+					  'http://identifiers.org/uniprot/X',
+					  null, mf);
+	reqs.add_annotation_to_individual('evidence', 'gomodel:123/e1', 'IRI',
+					  mf);
+
+	var struct = reqs.structure()['requests'];
+	assert.equal(struct[0]['arguments']['expressions'][0]['id'],
+		     'GO:0003674', 'class');
+	assert.equal(struct[0]['arguments']['assign-to-variable'], mf,
+		     'variable');
+	assert.equal(struct[1]['arguments']['predicate'], 'RO:0002333',
+		     'predicate');
+	assert.equal(struct[2]['arguments']['values'][0]['value'],
+		     'not: an id', 'text');
+	assert.equal(struct[3]['arguments']['values'][0]['value'],
+		     'http://identifiers.org/uniprot/X', 'untyped left alone');
+	assert.equal(struct[4]['arguments']['values'][0]['value'],
+		     'gomodel:123/e1', 'IRI value');
+
+	reqs.identifier_form('iri');
+	struct = reqs.structure()['requests'];
+	assert.equal(struct[1]['arguments']['object'],
+		     'http://model.geneontology.org/123/gp1', 'object');
+
+	// Queued requests are untouched.
+	reqs.context(null);
+	struct = reqs.structure()['requests'];
+	assert.equal(struct[0]['arguments']['expressions'][0]['id'],
+		     'obo:GO_0003674', 'as given');
+
+	assert.throws(function(){ reqs.identifier_form('foo'); }, Error);
+    });
+});
+
+describe('responses can be normalized', function(){
+
+    it('data identifiers', function(){
+	var resp = new response({
+	    'message-type': 'success',
+	    'data': {
+		'individuals': [{
+		    'id': 'http://model.geneontology.org/123/i1',
+		    'type': [{'type': 'class', 'id': 'obo:GO_0003674'}],
+		    'annotations': [{'key': 'evidence',
+				     'value': 'http://model.geneontology.org/123/e1'}]
+		}],
+		'facts': [{'subject': 'gomodel:123/i1',
+			   'object': 'gomodel:123/i2',
+			   'property': 'obo:RO_0002333'}]
+	    }
+	});
+
+	var norm = resp.normalize(new prefix_context());
+	var ind = norm.individuals()[0];
+	assert.equal(ind['id'], 'gomodel:123/i1', 'id');
+	assert.equal(ind['type'][0]['id'], 'GO:0003674', 'type');
+	assert.equal(ind['annotations'][0]['value'], 'gomodel:123/e1', 'value');
+	assert.equal(norm.facts()[0]['property'], 'RO:0002333', 'property');
+	assert.equal(resp.individuals()[0]['type'][0]['id'], 'obo:GO_0003674',
+		     'original untouched');
+
+	var bad = new response('{').normalize(new prefix_context());
+	assert.equal(bad.error_type(), 'malformed-response', 'still bad');
+    });
+});
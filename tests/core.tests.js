@@ -5,6 +5,7 @@
 var chai = require('chai');
 chai.config.includeStack = true;
 var assert = chai.assert;
+var us = require('underscore');
 var class_expression = require('class-expression');
 var minerva_requests = require('..');
 var request_variable = minerva_requests.request_variable;
@@ -1087,6 +1088,70 @@ describe('try all the amazing uses of update_annotations', function(){
 	
     });
 
+    it('individual from a plain description, several keys at once', function(){
+
+	var reqs = new request_set('utoken', 'mid:123');
+	reqs.update_annotations({
+	    'individual': 'ind:1',
+	    'annotations': [
+		{'key': 'flavor', 'value': 'green'},
+		{'key': 'color', 'value': 'blue'},
+		{'key': 'comment', 'value': 'keep me'}
+	    ]
+	}, {'flavor': 'red', 'color': []});
+
+	var s = reqs.structure();
+	assert.deepEqual(us.map(s['requests'], function(r){
+	    return [r['entity'], r['operation'], r['arguments']['individual'],
+		    r['arguments']['values']];
+	}), [
+	    ['individual', 'remove-annotation', 'ind:1',
+	     [{'key': 'flavor', 'value': 'green'}]],
+	    ['individual', 'add-annotation', 'ind:1',
+	     [{'key': 'flavor', 'value': 'red'}]],
+	    ['individual', 'remove-annotation', 'ind:1',
+	     [{'key': 'color', 'value': 'blue'}]]
+	], 'only the given keys are touched');
+    });
+
+    it('fact and model from plain descriptions', function(){
+
+	var reqs = new request_set('utoken', 'mid:123');
+	reqs.update_annotations({
+	    'fact': ['ind:1', 'ind:2', 'RO:0002333'],
+	    'annotations': [{'key': 'evidence', 'value': 'ev:1'}]
+	}, 'evidence', 'ev:2', 'IRI');
+	reqs.update_annotations({'model': true}, 'title', 'new title');
+
+	var s = reqs.structure();
+	assert.lengthOf(s['requests'], 3, 'remove, add, add');
+	assert.deepEqual(s['requests'][0]['arguments'], {
+	    'subject': 'ind:1',
+	    'object': 'ind:2',
+	    'predicate': 'RO:0002333',
+	    'values': [{'key': 'evidence', 'value': 'ev:1'}],
+	    'model-id': 'mid:123'
+	}, 'old fact annotation removed');
+	assert.deepEqual(s['requests'][1]['arguments']['values'], [
+	    {'key': 'evidence', 'value': 'ev:2', 'value-type': 'IRI'}
+	], 'new fact annotation with value type');
+	assert.equal(s['requests'][2]['entity'], 'model', 'model entity');
+	assert.deepEqual(s['requests'][2]['arguments']['values'], [
+	    {'key': 'title', 'value': 'new title'}
+	], 'model annotation added');
+    });
+
+    it('unusable targets are rejected', function(){
+
+	var reqs = new request_set('utoken', 'mid:123');
+	assert.throws(function(){
+	    reqs.update_annotations({'annotations': []}, 'flavor', 'red');
+	}, /enity type/, 'no target');
+	assert.throws(function(){
+	    reqs.update_annotations({'fact': ['ind:1']}, 'flavor', 'red');
+	}, /proper fact/, 'bad triple');
+    });
+
 });
 
 describe('look at request envelopes intended for the outside world', function(){
@@ -1131,3 +1196,1038 @@ describe('look at request envelopes intended for the outside world', function(){
     });
 });
 
+
+describe('validate requests against the operations table', function(){
+
+    it('a proper request set has no problems', function(){
+
+	var reqs = new request_set('utoken', 'mid:123');
+	var mf = reqs.add_individual('GO:0003674');
+	var gp = reqs.add_individual('UniProtKB:P12345');
+	reqs.add_fact([mf, gp, 'RO:0002333']);
+	reqs.add_evidence('ECO:0000314', 'PMID:123', null, [mf, gp, 'RO:0002333']);
+	reqs.add_annotation_to_model('title', 'foo');
+	reqs.get_model('mid:123');
+	reqs.get_meta();
+
+	assert.deepEqual(reqs.validate(), [], 'no problems');
+    });
+
+    it('unknown entities and operations', function(){
+
+	var reqs = new request_set('utoken', 'mid:123');
+	reqs.add(new request('individual', 'ad'));
+	reqs.add(new request('template'));
+
+	var problems = reqs.validate();
+	assert.equal(problems.length, 2, 'two problems');
+	assert.equal(problems[0]['index'], 0, 'first request');
+	assert.equal(problems[0]['code'], 'unknown-operation', 'typo op');
+	assert.equal(problems[1]['index'], 1, 'second request');
+	assert.equal(problems[1]['code'], 'unknown-entity', 'bad entity');
+    });
+
+    it('missing arguments', function(){
+
+	var reqs = new request_set('utoken', 'mid:123');
+	var req = new request('edge', 'add');
+	req.object('GO:456');
+	req.predicate('RO:123');
+	reqs.add(req);
+	reqs.add(new request('individual', 'add-type'));
+
+	var problems = reqs.validate();
+	assert.equal(problems.length, 3, 'three problems');
+	assert.equal(problems[0]['argument'], 'subject', 'no subject');
+	assert.equal(problems[0]['index'], 0, 'in the edge');
+	assert.equal(problems[1]['argument'], 'individual', 'no individual');
+	assert.equal(problems[2]['argument'], 'expressions', 'no type');
+	assert.equal(problems[2]['index'], 1, 'in the type');
+    });
+
+    it('model ids may be implied by the set', function(){
+
+	var reqs = new request_set('utoken');
+	reqs.add_individual('GO:0003674');
+	reqs.add_model();
+	reqs.add_individual('GO:0003674');
+
+	var problems = reqs.validate();
+	assert.equal(problems.length, 1, 'only before the new model');
+	assert.equal(problems[0]['index'], 0, 'first individual');
+	assert.equal(problems[0]['argument'], 'model-id', 'no model');
+
+	// A single request does not know about the set.
+	var req = new request('model', 'get');
+	assert.equal(req.validate().length, 1, 'no model id');
+	assert.equal(req.validate(true).length, 0, 'implied model id');
+    });
+});
+
+describe('parse structures and callables back into request sets', function(){
+
+    it('round trip through structure()', function(){
+
+	var reqs = new request_set('utoken', 'mid:123', true, ['foo:bar']);
+	reqs.external_client_id('super-client-id');
+	reqs.external_return_url('http://noctua.bbop.org/tractorbeam');
+	var mf = reqs.add_individual('GO:0003674');
+	var gp = reqs.add_individual('UniProtKB:P12345', 'http://foo.com/bar');
+	reqs.add_fact([mf, gp, 'RO:0002333']);
+	reqs.add_evidence('ECO:0000314', 'PMID:123', null, mf);
+
+	var s = reqs.structure();
+	var parsed = request_set.from_structure(s);
+	assert.deepEqual(parsed.structure(), s, 'same structure');
+
+	assert.equal(parsed.token(), 'utoken', 'token');
+	assert.equal(parsed.intention(), 'action', 'intention');
+	assert.isTrue(parsed.use_reasoner(), 'reasoner');
+	assert.deepEqual(parsed.use_groups(), ['foo:bar'], 'groups');
+	assert.equal(parsed.external_client_id(), 'super-client-id', 'x-');
+
+	// Variables are still variables.
+	for( var i = 0; i < 5; i++ ){
+	    assert.equal(parsed.last_individual_id(i),
+			 reqs.last_individual_id(i), 'same individual ' + i);
+	}
+	assert.deepEqual(parsed.last_fact_triple(), [mf, gp, 'RO:0002333'],
+			 'fact');
+    });
+
+    it('round trip through callable(), with edits', function(){
+
+	var reqs = new request_set('utoken');
+	reqs.get_model('mid:123');
+	var args = reqs.callable();
+
+	var parsed = request_set.from_callable(args);
+	assert.equal(parsed.intention(), 'query', 'kept query');
+	assert.deepEqual(parsed.callable(), args, 'same callable');
+
+	// Edit and resend.
+	parsed.add_individual('GO:0003674', null, 'mid:123');
+	var s = parsed.structure();
+	assert.equal(s['intention'], 'action', 'now an action');
+	assert.equal(s['requests'].length, 2, 'two requests');
+    });
+
+    it('edits recompute a recorded intention', function(){
+	var reqs = new request_set('utoken', 'mid:123');
+	reqs.get_model('mid:123');
+	reqs.add_individual('GO:0003674');
+
+	var parsed = request_set.from_structure(reqs.structure());
+	assert.equal(parsed.intention(), 'action', 'recorded');
+	parsed.remove_request(1);
+	assert.equal(parsed.intention(), 'query', 'recomputed');
+    });
+
+    it('bad input', function(){
+	assert.throws(function(){
+	    request_set.from_structure(null);
+	}, Error);
+	assert.throws(function(){
+	    request_set.from_structure({'token': 'foo', 'requests': 'bar'});
+	}, Error);
+    });
+});
+
+describe('request sets from the difference of two graphs', function(){
+
+    // A small starting model: mf enabled_by gp, with some annotations.
+    function _before(){
+	var g = new model.graph('mid:123');
+	g.add_annotation(new model.annotation({'key': 'title', 'value': 'a'}));
+	var mf = new model.node('mf1', null, ['GO:0003674']);
+	mf.add_annotation(new model.annotation({'key': 'comment',
+						 'value': 'old'}));
+	g.add_node(mf);
+	g.add_node(new model.node('gp1', null, ['UniProtKB:P12345']));
+	g.add_node(new model.node('cc1', null, ['GO:0005575']));
+	g.add_edge(new model.edge('mf1', 'gp1', 'RO:0002333'));
+	g.add_edge(new model.edge('mf1', 'cc1', 'BFO:0000066'));
+	return g;
+    }
+
+    it('no difference, no requests', function(){
+	var reqs = new request_set('utoken', 'mid:123');
+	reqs.add_graph_diff(_before(), _before());
+	assert.equal(reqs.structure()['requests'].length, 0, 'nothing');
+    });
+
+    it('all kinds of changes', function(){
+
+	var before = _before();
+	var after = _before();
+
+	// Swap the type of the mf, change its comment.
+	var mf = after.get_node('mf1');
+	mf.types(['GO:0004672']);
+	mf.annotations([new model.annotation({'key': 'comment',
+					       'value': 'new'})]);
+	after.add_node(mf);
+	// Drop the cc, taking its edge with it.
+	after.remove_node('cc1', true);
+	// New bp with an edge to the mf, with an annotation.
+	after.add_node(new model.node('local-bp', null, ['GO:0008150']));
+	var e = new model.edge('mf1', 'local-bp', 'BFO:0000050');
+	e.add_annotation(new model.annotation({'key': 'contributor',
+					       'value': 'GOC:foo'}));
+	after.add_edge(e);
+	// Retitle the model.
+	after.annotations([new model.annotation({'key': 'title',
+						  'value': 'b'})]);
+
+	var reqs = new request_set('utoken', 'mid:123');
+	reqs.add_graph_diff(before, after);
+	var all = reqs.structure()['requests'];
+	var ops = us.map(all, function(r){
+	    return r['entity'] + ' ' + r['operation'];
+	});
+	assert.deepEqual(ops, [
+	    'individual remove',
+	    'individual add',
+	    'individual remove-type',
+	    'individual add-type',
+	    'individual remove-annotation',
+	    'individual add-annotation',
+	    'edge add',
+	    'edge add-annotation',
+	    'model remove-annotation',
+	    'model add-annotation'
+	], 'minimal requests in order');
+
+	// The new individual is referenced by its variable.
+	var bp_var = all[1]['arguments']['assign-to-variable'];
+	assert.equal(all[0]['arguments']['individual'], 'cc1', 'removed cc');
+	assert.equal(all[6]['arguments']['subject'], 'mf1', 'fact subject');
+	assert.equal(all[6]['arguments']['object'], bp_var, 'fact object');
+	assert.equal(all[7]['arguments']['object'], bp_var, 'ann object');
+	assert.equal(all[2]['arguments']['expressions'][0]['id'],
+		     'GO:0003674', 'old type');
+	assert.equal(all[3]['arguments']['expressions'][0]['id'],
+		     'GO:0004672', 'new type');
+    });
+
+    it('removed facts between remaining individuals', function(){
+	var before = _before();
+	var after = _before();
+	after.remove_edge('mf1', 'gp1', 'RO:0002333');
+
+	var reqs = new request_set('utoken', 'mid:123');
+	reqs.add_graph_diff(before, after);
+	var all = reqs.structure()['requests'];
+	assert.equal(all.length, 1, 'one request');
+	assert.equal(all[0]['entity'], 'edge', 'edge');
+	assert.equal(all[0]['operation'], 'remove', 'remove');
+    });
+
+    it('ids and values that look like object properties', function(){
+	var before = _before();
+	var after = _before();
+	after.add_node(new model.node('valueOf', null, ['GO:0008150']));
+	after.add_edge(new model.edge('mf1', 'valueOf', 'BFO:0000050'));
+	var gp = after.get_node('gp1');
+	gp.add_annotation(new model.annotation({'key': 'comment',
+						 'value': 'constructor'}));
+	after.add_node(gp);
+
+	var reqs = new request_set('utoken', 'mid:123');
+	reqs.add_graph_diff(before, after);
+	var all = reqs.structure()['requests'];
+	assert.deepEqual(us.map(all, function(r){
+	    return r['entity'] + ' ' + r['operation'];
+	}), ['individual add', 'individual add-annotation', 'edge add'],
+			 'just the new things');
+	assert.equal(all[1]['arguments']['values'][0]['value'], 'constructor',
+		     'value as it was');
+	assert.equal(all[2]['arguments']['object'],
+		     all[0]['arguments']['assign-to-variable'], 'new id mapped');
+    });
+
+    it('only graphs', function(){
+	var reqs = new request_set('utoken', 'mid:123');
+	assert.throws(function(){
+	    reqs.add_graph_diff({}, _before());
+	}, Error);
+    });
+});
+
+describe('named variables and dangling references', function(){
+
+    it('named variables can be used anywhere', function(){
+
+	var reqs = new request_set('utoken', 'mid:123');
+	var mf = reqs.variable('mf');
+	var gp = reqs.variable('gp');
+	assert.equal(mf, 'mf', 'name is the id');
+
+	assert.equal(reqs.add_individual('GO:0003674', mf), mf, 'defined');
+	reqs.add_individual('UniProtKB:P12345', gp);
+	reqs.add_fact([mf, gp, 'RO:0002333']);
+	reqs.add_evidence('ECO:0000314', 'PMID:123', null, mf);
+
+	assert.deepEqual(reqs.check_variables(), [], 'all good');
+	var all = reqs.structure()['requests'];
+	assert.equal(all[0]['arguments']['assign-to-variable'], 'mf', 'mf');
+	assert.isUndefined(all[0]['arguments']['individual-iri'], 'not iri');
+	assert.equal(all[1]['arguments']['assign-to-variable'], 'gp', 'gp');
+	assert.equal(all[2]['arguments']['subject'], 'mf', 'subject');
+	assert.equal(all[2]['arguments']['object'], 'gp', 'object');
+	assert.equal(reqs.last_individual_id(), 'mf', 'evidence target');
+
+	// Unregistered strings are still known IRIs.
+	reqs.add_individual('GO:0008150', 'http://foo.com/bar');
+	var last = reqs.structure()['requests'][6]['arguments'];
+	assert.equal(last['individual-iri'], 'http://foo.com/bar', 'iri');
+    });
+
+    it('dangling references are caught', function(){
+
+	var reqs = new request_set('utoken', 'mid:123');
+	var mf = reqs.variable('mf');
+	var gp = reqs.variable('gp');
+	reqs.add_fact([mf, gp, 'RO:0002333']);
+	reqs.add_individual('GO:0003674', mf);
+
+	var problems = reqs.check_variables();
+	assert.equal(problems.length, 2, 'two problems');
+	assert.equal(problems[0]['code'], 'variable-used-before-definition',
+		     'mf too early');
+	assert.equal(problems[0]['argument'], 'subject', 'as subject');
+	assert.equal(problems[1]['code'], 'undefined-variable', 'gp never');
+	assert.equal(problems[1]['variable'], 'gp', 'gp');
+	assert.equal(problems[1]['index'], 0, 'in the fact');
+
+	// Also reported by validate and at structure time.
+	assert.equal(reqs.validate().length, 2, 'validate sees them');
+	assert.throws(function(){ reqs.structure(); }, /gp/);
+	assert.throws(function(){ reqs.callable(); }, Error);
+    });
+
+    it('forward references stop structure()', function(){
+
+	var reqs = new request_set('utoken', 'mid:123');
+	var mf = reqs.variable('mf');
+	reqs.add_annotation_to_individual('comment', 'early', null, mf);
+	reqs.add_individual('GO:0003674', mf);
+
+	assert.equal(reqs.check_variables()[0]['code'],
+		     'variable-used-before-definition', 'reported');
+	assert.throws(function(){ reqs.structure(); },
+		      /variable is used before definition: mf/);
+    });
+
+    it('other variable problems do not stop structure()', function(){
+
+	var reqs = new request_set('utoken', 'mid:123');
+	var mf = reqs.variable('mf');
+	reqs.variable('gp');
+	reqs.add_annotation_to_model('comment', 'gp');
+	reqs.add_individual('GO:0003674', mf);
+	reqs.add_individual('GO:0003674', mf);
+
+	var codes = us.pluck(reqs.check_variables(), 'code');
+	assert.deepEqual(codes, ['undefined-variable', 'variable-redefined'],
+			 'both reported');
+	assert.equal(reqs.structure()['requests'].length, 3, 'still built');
+    });
+
+    it('redefinition', function(){
+
+	var reqs = new request_set('utoken', 'mid:123');
+	var mf = reqs.variable('mf');
+	reqs.add_individual('GO:0003674', mf);
+	reqs.add_individual('GO:0003674', mf);
+
+	var problems = reqs.check_variables();
+	assert.equal(problems.length, 1, 'one problem');
+	assert.equal(problems[0]['code'], 'variable-redefined', 'twice');
+	assert.equal(problems[0]['index'], 1, 'second');
+    });
+
+    it('named variables survive parsing', function(){
+
+	var reqs = new request_set('utoken', 'mid:123');
+	var mf = reqs.variable('mf');
+	reqs.add_individual('GO:0003674', mf);
+	reqs.add_annotation_to_individual('comment', 'foo', null, mf);
+
+	var s = reqs.structure();
+	assert.deepEqual(request_set.from_structure(s).structure(), s, 'same');
+    });
+});
+
+describe('editing the request queue', function(){
+
+    // Ops in a structure, for easy comparison.
+    function _ops(reqs){
+	return us.map(reqs.structure()['requests'], function(r){
+	    return r['entity'] + ' ' + r['operation'];
+	});
+    }
+
+    it('list, remove, and recompute intention', function(){
+
+	var reqs = new request_set('utoken', 'mid:123');
+	reqs.get_model('mid:123');
+	reqs.add_individual('GO:0003674');
+	assert.equal(reqs.requests().length, 2, 'two requests');
+	assert.equal(reqs.intention(), 'action', 'action');
+
+	reqs.remove_request(1);
+	assert.equal(reqs.requests().length, 1, 'one request');
+	assert.equal(reqs.intention(), 'query', 'back to query');
+	assert.equal(reqs.last_individual_id(), null, 'no individual');
+
+	assert.throws(function(){ reqs.remove_request(1); }, Error);
+	assert.throws(function(){ reqs.remove_request(-1); }, Error);
+    });
+
+    it('insert, move, and replace', function(){
+
+	var reqs = new request_set('utoken', 'mid:123');
+	reqs.get_meta();
+	reqs.get_model('mid:123');
+
+	reqs.insert_request(1, new request('model', 'store'), 'query');
+	assert.deepEqual(_ops(reqs), ['meta get', 'model store', 'model get'],
+			 'inserted');
+	assert.equal(reqs.intention(), 'query', 'still query');
+
+	reqs.insert_request(3, new request('model', 'undo'));
+	assert.equal(reqs.intention(), 'action', 'action at the end');
+
+	reqs.move_request(3, 0);
+	assert.deepEqual(_ops(reqs),
+			 ['model undo', 'meta get', 'model store', 'model get'],
+			 'moved');
+
+	reqs.replace_request(0, new request('model', 'get-undo-redo'),
+			     'query');
+	assert.deepEqual(_ops(reqs), ['model get-undo-redo', 'meta get',
+				      'model store', 'model get'], 'replaced');
+	assert.equal(reqs.intention(), 'query', 'query again');
+    });
+
+    it('edits may not break variable references', function(){
+
+	var reqs = new request_set('utoken', 'mid:123');
+	var mf = reqs.add_individual('GO:0003674');
+	var gp = reqs.add_individual('UniProtKB:P12345');
+	reqs.add_fact([mf, gp, 'RO:0002333']);
+
+	assert.throws(function(){ reqs.remove_request(0); }, /never defined/);
+	assert.throws(function(){ reqs.move_request(2, 0); }, /before/);
+	assert.equal(reqs.requests().length, 3, 'unchanged');
+	assert.deepEqual(reqs.last_fact_triple(), [mf, gp, 'RO:0002333'],
+			 'unchanged order');
+
+	// Dropping the reference first is fine.
+	reqs.remove_request(2).remove_request(0);
+	assert.deepEqual(_ops(reqs), ['individual add'], 'one left');
+	assert.equal(reqs.last_individual_id(), gp, 'the gp');
+    });
+
+    it('edits may not swap one dangling reference for another', function(){
+
+	var reqs = new request_set('utoken', 'mid:123');
+	var gp = reqs.add_individual('UniProtKB:P12345');
+	reqs.add_fact([reqs.variable('mf'), gp, 'RO:0002333']);
+	assert.equal(reqs.check_variables().length, 1, 'mf is dangling');
+
+	var other = new request_set('utoken', 'mid:123');
+	other.add_fact([reqs.variable('bp'), gp, 'BFO:0000050']);
+	assert.throws(function(){
+	    reqs.replace_request(1, other.requests()[0]);
+	}, /never defined: bp/);
+	assert.equal(reqs.last_fact_triple()[0], 'mf', 'unchanged');
+    });
+
+    it('edits keep an intention set by hand', function(){
+
+	var reqs = new request_set('utoken', 'mid:123');
+	reqs.get_model('mid:123');
+	reqs.add_individual('GO:0003674');
+	reqs.intention('query');
+
+	reqs.remove_request(0);
+	assert.equal(reqs.intention(), 'query', 'still query');
+    });
+});
+
+describe('splitting request sets', function(){
+
+    function _parts(){
+	var rs = new request_set('utoken', 'mid:123', true, ['grp:a']);
+	rs.external_client_id('client');
+	var mf = rs.add_individual('GO:0003674');
+	var gp = rs.add_individual('UniProtKB:P12345');
+	rs.add_fact([mf, gp, 'RO:0002333']);
+	rs.add_individual('GO:0008150');
+	rs.get_model('mid:123');
+	return rs;
+    }
+
+    it('parts keep variables together and settings intact', function(){
+
+	var reqs = _parts();
+	var parts = reqs.split({'max_requests': 3});
+	assert.equal(parts.length, 2, 'two parts');
+	assert.deepEqual(us.map(parts, function(p){
+	    return p.requests().length; }), [3, 2], 'sizes');
+
+	// The fact stays with both its individuals.
+	var first = parts[0].structure()['requests'];
+	assert.equal(first[2]['entity'], 'edge', 'fact in first part');
+	assert.equal(parts[1].intention(), 'action', 'intention');
+
+	us.each(parts, function(p){
+	    var struct = p.structure();
+	    assert.equal(struct['token'], 'utoken', 'token');
+	    assert.equal(struct['use-reasoner'], 'true', 'reasoner');
+	    assert.deepEqual(p.use_groups(), ['grp:a'], 'groups');
+	    assert.equal(p.external_client_id(), 'client', 'client');
+	});
+
+	// Nothing lost or reordered.
+	var all = [];
+	us.each(parts, function(p){
+	    all = all.concat(p.structure()['requests']);
+	});
+	assert.deepEqual(all, reqs.structure()['requests'], 'same requests');
+    });
+
+    it('by size', function(){
+
+	var reqs = _parts();
+	var whole = reqs.callable()['requests'].length;
+	assert.equal(reqs.split({'max_bytes': whole}).length, 1, 'fits');
+	assert.isAbove(reqs.split({'max_bytes': whole - 1}).length, 1,
+		       'does not fit');
+	us.each(reqs.split({'max_bytes': whole - 1}), function(p){
+	    assert.isTrue(p.callable()['requests'].length <= whole - 1,
+			  'within limit');
+	});
+    });
+
+    it('by size, as sent with the default model id', function(){
+
+	// Measured on another copy, so that these are untouched.
+	var whole = _parts().callable()['requests'].length;
+	assert.equal(_parts().split({'max_bytes': whole}).length, 1, 'fits');
+	var parts = _parts().split({'max_bytes': whole - 1});
+	assert.isAbove(parts.length, 1, 'does not fit');
+	us.each(parts, function(p){
+	    assert.isTrue(p.callable()['requests'].length <= whole - 1,
+			  'within limit');
+	});
+    });
+
+    it('impossible splits', function(){
+
+	var reqs = _parts();
+	assert.throws(function(){ reqs.split({'max_requests': 2}); },
+		      /cannot be split/);
+	assert.throws(function(){ reqs.split({'max_bytes': 10}); },
+		      /cannot be split/);
+    });
+});
+
+describe('optimizing request sets', function(){
+
+    // Ops in a structure, for easy comparison.
+    function _ops(reqs){
+	return us.map(reqs.structure()['requests'], function(r){
+	    return r['entity'] + ' ' + r['operation'];
+	});
+    }
+
+    it('added, then removed', function(){
+
+	var reqs = new request_set('utoken', 'mid:123');
+	reqs.add_annotation_to_individual('comment', 'foo', null, 'ind:1');
+	reqs.remove_annotation_from_individual('comment', 'foo', null,
+					       'ind:1');
+	reqs.optimize();
+	// Might have been there before, so still has to go.
+	assert.deepEqual(_ops(reqs), ['individual remove-annotation'],
+			 'only the removal');
+
+	// But not on something new.
+	var reqs2 = new request_set('utoken', 'mid:123');
+	var ind = reqs2.add_individual('GO:0003674');
+	reqs2.add_annotation_to_individual('comment', 'foo', null, ind);
+	reqs2.remove_annotation_from_individual('comment', 'foo', null, ind);
+	reqs2.optimize();
+	assert.deepEqual(_ops(reqs2), ['individual add'], 'both gone');
+    });
+
+    it('created, then removed', function(){
+
+	var reqs = new request_set('utoken', 'mid:123');
+	var mf = reqs.add_individual('GO:0003674');
+	var gp = reqs.add_individual('UniProtKB:P12345');
+	reqs.add_fact([mf, gp, 'RO:0002333']);
+	reqs.add_evidence_to_last_fact('ECO:0000314', 'PMID:123');
+	reqs.remove_individual(gp);
+	reqs.optimize();
+
+	assert.deepEqual(_ops(reqs), ['individual add', 'individual add',
+				      'individual add-annotation'],
+			 'only the mf and the evidence');
+	assert.equal(reqs.intention(), 'action', 'still an action');
+    });
+
+    it('duplicates and coalescing', function(){
+
+	var reqs = new request_set('utoken', 'mid:123');
+	reqs.add_fact(['ind:1', 'ind:2', 'RO:0002333']);
+	reqs.add_fact(['ind:1', 'ind:2', 'RO:0002333']);
+	reqs.add_annotation_to_individual('comment', 'foo', null, 'ind:3');
+	reqs.add_individual('GO:0008150');
+	reqs.add_annotation_to_individual('comment', 'bar', null, 'ind:3');
+	reqs.add_annotation_to_individual('comment', 'foo', null, 'ind:3');
+	reqs.optimize();
+
+	assert.deepEqual(_ops(reqs), ['edge add', 'individual add',
+				      'individual add-annotation'], 'ops');
+	var last = reqs.structure()['requests'][2];
+	assert.deepEqual(us.pluck(last['arguments']['values'], 'value'),
+			 ['foo', 'bar'], 'coalesced');
+    });
+
+    it('nothing is moved over what it depends on', function(){
+
+	var reqs = new request_set('utoken', 'mid:123');
+	reqs.add_annotation_to_individual('comment', 'foo', null, 'ind:1');
+	reqs.remove_individual('ind:1');
+	reqs.add_annotation_to_individual('comment', 'foo', null, 'ind:1');
+	reqs.add_fact(['ind:1', 'ind:2', 'RO:0002333']);
+	reqs.remove_fact(['ind:1', 'ind:2', 'RO:0002333']);
+	reqs.add_fact(['ind:1', 'ind:2', 'RO:0002333']);
+	reqs.store_model('mid:123');
+	reqs.add_fact(['ind:1', 'ind:2', 'RO:0002333']);
+	var before = _ops(reqs);
+	reqs.optimize();
+
+	before.splice(3, 1); // only the first fact add is redundant
+	assert.deepEqual(_ops(reqs), before, 'little change');
+    });
+});
+
+describe('inverting request sets', function(){
+
+    function _before(){
+	var g = new model.graph('mid:123');
+	var mf = new model.node('mf1', null, ['GO:0003674']);
+	mf.add_annotation(new model.annotation({'key': 'comment',
+						 'value': 'old'}));
+	g.add_node(mf);
+	g.add_node(new model.node('gp1', null, ['UniProtKB:P12345']));
+	g.add_node(new model.node('cc1', null, ['GO:0005575']));
+	g.add_edge(new model.edge('mf1', 'cc1', 'BFO:0000066'));
+	return g;
+    }
+
+    it('undoes what was done', function(){
+
+	var reqs = new request_set('utoken', 'mid:123');
+	var bp = reqs.add_individual('GO:0008150');
+	reqs.add_fact([bp, 'gp1', 'RO:0002333']);
+	reqs.add_annotation_to_individual('comment', 'new', null, 'mf1');
+	reqs.add_annotation_to_individual('comment', 'old', null, 'mf1');
+	reqs.remove_type_from_individual('GO:0003674', 'mf1');
+	reqs.remove_individual('cc1');
+
+	assert.throws(function(){ reqs.invert(_before()); }, /no id known/);
+
+	var inverse = reqs.invert(_before(), us.object([[bp, 'bp1']]));
+	assert.equal(inverse.token(), 'utoken', 'same token');
+	var ops = us.map(inverse.structure()['requests'], function(r){
+	    return [r['entity'], r['operation'], r['arguments']];
+	});
+	assert.deepEqual(us.map(ops, function(o){ return o[0] + ' ' + o[1]; }),
+			 ['individual add', 'edge add', 'individual add-type',
+			  'individual remove-annotation', 'edge remove',
+			  'individual remove'], 'reversed');
+
+	assert.equal(ops[0][2]['individual-iri'], 'cc1', 'same id');
+	assert.equal(ops[0][2]['expressions'][0]['id'], 'GO:0005575', 'type');
+	assert.equal(ops[1][2]['object'], 'cc1', 'lost fact');
+	assert.equal(ops[3][2]['values'][0]['value'], 'new', 'only new');
+	assert.equal(ops[4][2]['subject'], 'bp1', 'mapped id');
+	assert.equal(ops[5][2]['individual'], 'bp1', 'mapped id');
+    });
+
+    it('cannot be done', function(){
+
+	var reqs = new request_set('utoken', 'mid:123');
+	reqs.undo_last_model_batch('mid:123');
+	assert.throws(function(){ reqs.invert(_before()); }, /cannot invert/);
+	assert.throws(function(){ reqs.invert({}); }, /graph/);
+    });
+});
+
+describe('describing request sets', function(){
+
+    it('sentences, with evidence folded in', function(){
+
+	var reqs = new request_set('utoken', 'mid:123');
+	var mf = reqs.add_individual('GO:0003674');
+	var gp = reqs.add_individual('UniProtKB:P12345');
+	reqs.add_fact([mf, gp, 'RO:0002333']);
+	reqs.add_evidence_to_last_fact('ECO:0000314', 'PMID:123');
+	reqs.add_annotation_to_individual('comment', 'hi', null, mf);
+	reqs.remove_individual('gomodel:123/456');
+	reqs.store_model();
+
+	assert.deepEqual(reqs.describe(), [
+	    'Create individual _:ind1 of type GO:0003674',
+	    'Create individual _:ind2 of type UniProtKB:P12345',
+	    'Add fact _:ind1 RO:0002333 _:ind2 with evidence ECO:0000314 from PMID:123',
+	    'Add annotation comment "hi" to individual _:ind1',
+	    'Remove individual gomodel:123/456',
+	    'Save model mid:123'
+	], 'described');
+
+	var labels = {
+	    'GO:0003674': 'molecular_function',
+	    'RO:0002333': 'enabled by'
+	};
+	var described = reqs.describe({
+	    'aliases': false,
+	    'label': function(id){ return labels[id] || null; }
+	});
+	assert.equal(described[0],
+		     'Create individual ' + mf + ' of type molecular_function',
+		     'labels and raw variables');
+	assert.equal(described[2].indexOf('Add fact ' + mf + ' enabled by ' +
+					  gp), 0, 'labelled relation');
+    });
+
+    it('named variables, expressions, and evidence on its own', function(){
+
+	var reqs = new request_set('utoken', 'mid:123');
+	reqs.variable('mf');
+	reqs.add_individual('GO:0003674', 'mf');
+	reqs.add_type_to_individual(
+	    new class_expression().as_svf('BFO:0000066', 'GO:0005575'), 'mf');
+	reqs.add_evidence('ECO:0000314', ['PMID:1', 'PMID:2'], 'foo', 'mf');
+
+	assert.deepEqual(reqs.describe(), [
+	    'Create individual _:mf of type GO:0003674',
+	    'Add type BFO:0000066 some GO:0005575 to individual _:mf',
+	    'Add evidence ECO:0000314 from PMID:1, PMID:2 with foo to individual _:mf'
+	], 'described');
+    });
+});
+
+describe('activity units', function(){
+
+    it('the whole pattern', function(){
+
+	var reqs = new request_set('utoken', 'mid:123');
+	var unit = reqs.add_activity_unit({
+	    'mf': 'GO:0004672',
+	    'gp': 'UniProtKB:P12345',
+	    'bp': 'GO:0006468',
+	    'cc': 'GO:0005634',
+	    'evidence': {'code': 'ECO:0000314', 'sources': 'PMID:123'}
+	});
+
+	assert.deepEqual(unit['facts'], [
+	    [unit['mf'], unit['gp'], 'RO:0002333'],
+	    [unit['mf'], unit['bp'], 'BFO:0000050'],
+	    [unit['mf'], unit['cc'], 'BFO:0000066']
+	], 'facts');
+	assert.deepEqual(reqs.describe().slice(0, 3), [
+	    'Create individual _:ind1 of type GO:0004672',
+	    'Create individual _:ind2 of type UniProtKB:P12345',
+	    'Add fact _:ind1 RO:0002333 _:ind2 with evidence ECO:0000314 from PMID:123'
+	], 'first part');
+	assert.equal(reqs.describe().length, 7, 'all parts');
+	assert.equal(reqs.structure()['requests'].length, 16, 'all requests');
+    });
+
+    it('only some of it', function(){
+
+	var reqs = new request_set('utoken', 'mid:123');
+	var unit = reqs.add_activity_unit({'gp': 'UniProtKB:P12345'});
+	assert.equal(unit['bp'], null, 'no bp');
+	assert.deepEqual(reqs.describe(), [
+	    'Create individual _:ind1 of type GO:0003674',
+	    'Create individual _:ind2 of type UniProtKB:P12345',
+	    'Add fact _:ind1 RO:0002333 _:ind2'
+	], 'root mf, no evidence');
+
+	assert.throws(function(){
+	    reqs.add_activity_unit({'evidence': {'code': 'ECO:0000314'}});
+	}, /evidence/);
+    });
+});
+
+describe('model metadata helpers', function(){
+
+    it('replace old values, from a graph or an annotation list', function(){
+
+	var g = new model.graph('mid:123');
+	g.add_annotation(new model.annotation({'key': 'state',
+					       'value': 'development'}));
+	g.add_annotation(new model.annotation({'key': 'title',
+					       'value': 'old'}));
+
+	var reqs = new request_set('utoken', 'mid:123');
+	reqs.set_model_state('production', g);
+	reqs.set_model_title('new', [{'key': 'title', 'value': 'old'}]);
+	reqs.set_model_date(new Date(2016, 0, 9));
+
+	var ops = us.map(reqs.structure()['requests'], function(r){
+	    return [r['entity'], r['operation'], r['arguments']['values']];
+	});
+	assert.deepEqual(ops, [
+	    ['model', 'remove-annotation',
+	     [{'key': 'state', 'value': 'development'}]],
+	    ['model', 'add-annotation',
+	     [{'key': 'state', 'value': 'production'}]],
+	    ['model', 'remove-annotation', [{'key': 'title', 'value': 'old'}]],
+	    ['model', 'add-annotation', [{'key': 'title', 'value': 'new'}]],
+	    ['model', 'add-annotation', [{'key': 'date', 'value': '2016-01-09'}]]
+	], 'old values removed, new added');
+    });
+
+    it('several at once, with lists', function(){
+
+	var reqs = new request_set('utoken', 'mid:123');
+	reqs.set_model_metadata({
+	    'comment': ['one', 'two'],
+	    'contributor': 'http://orcid.org/0000-0001-2345-6789'
+	}, [{'key': 'comment', 'value': 'zero'}]);
+
+	var s = reqs.structure();
+	assert.lengthOf(s['requests'], 4, 'remove one, add three');
+	assert.equal(s['requests'][0]['operation'], 'remove-annotation',
+		     'old comment gone');
+    });
+
+    it('bad metadata is rejected before anything is added', function(){
+
+	var reqs = new request_set('utoken', 'mid:123');
+	assert.throws(function(){
+	    reqs.set_model_state('stuck');
+	}, /unknown model state: stuck/, 'state vocabulary');
+	assert.throws(function(){
+	    reqs.set_model_metadata({'title': 'fine', 'stat': 'production'});
+	}, /unknown model metadata: stat/, 'typo in key');
+	assert.throws(function(){
+	    reqs.set_model_title(['a', 'b']);
+	}, /exactly one title/, 'one title');
+	assert.throws(function(){
+	    reqs.set_model_date('09/01/2016');
+	}, /bad model date/, 'date format');
+	assert.lengthOf(reqs.requests(), 0, 'nothing added');
+	assert.include(minerva_requests.model_states, 'production',
+		       'vocabulary exported');
+    });
+
+});
+
+describe('recreating whole graphs', function(){
+
+    // mf enabled_by gp, with evidence on the fact and a model title.
+    function _graph(){
+	var g = new model.graph('mid:123');
+	g.add_annotation(new model.annotation({'key': 'title', 'value': 'a'}));
+	g.add_node(new model.node('mf1', null, ['GO:0003674', 'GO:0004672']));
+	g.add_node(new model.node('gp1', null, ['UniProtKB:P12345']));
+	var ev = new model.node('ev1', null, ['ECO:0000314']);
+	ev.add_annotation(new model.annotation({'key': 'source',
+						 'value': 'PMID:123'}));
+	g.add_node(ev);
+	var e = new model.edge('mf1', 'gp1', 'RO:0002333');
+	e.add_annotation(new model.annotation({'key': 'evidence',
+					       'value': 'ev1',
+					       'value-type': 'IRI'}));
+	g.add_edge(e);
+	return g;
+    }
+
+    it('a new model with everything in it', function(){
+
+	var reqs = request_set.from_graph(_graph(), {
+	    'token': 'utoken',
+	    'groups': ['http://group'],
+	    'taxon-id': 'NCBITaxon:9606'
+	});
+	var s = reqs.structure();
+	assert.equal(s['token'], 'utoken', 'token');
+	assert.deepEqual(s['provided-by'], ['http://group'], 'groups');
+	assert.deepEqual(us.map(s['requests'], function(r){
+	    return r['entity'] + ' ' + r['operation'];
+	}), [
+	    'model add',
+	    'individual add',
+	    'individual add-type',
+	    'individual add',
+	    'individual add',
+	    'individual add-annotation',
+	    'edge add',
+	    'edge add-annotation',
+	    'model add-annotation'
+	], 'all in order');
+	assert.equal(s['requests'][0]['arguments']['taxon-id'],
+		     'NCBITaxon:9606', 'model args');
+
+	// Everything is in terms of the new variables, in the new model.
+	var rs = s['requests'];
+	var mf_var = rs[1]['arguments']['assign-to-variable'];
+	var ev_var = rs[4]['arguments']['assign-to-variable'];
+	assert.equal(rs[2]['arguments']['individual'], mf_var, 'second type');
+	assert.equal(rs[6]['arguments']['subject'], mf_var, 'fact subject');
+	assert.equal(rs[7]['arguments']['values'][0]['value'], ev_var,
+		     'evidence reference remapped');
+	assert.isTrue(us.every(rs, function(r){
+	    return ! r['arguments']['model-id'];
+	}), 'model comes from the model add');
+	assert.isTrue(reqs.validate().length === 0, 'valid');
+    });
+
+    it('annotation values that look like object properties', function(){
+
+	var g = _graph();
+	var gp = g.get_node('gp1');
+	gp.add_annotation(new model.annotation({'key': 'comment',
+						 'value': 'constructor'}));
+	gp.add_annotation(new model.annotation({'key': 'comment',
+						 'value': 'toString'}));
+	g.add_node(gp);
+
+	var vals = [];
+	us.each(request_set.from_graph(g).structure()['requests'], function(r){
+	    vals = vals.concat(us.pluck(us.where(r['arguments']['values'] || [],
+						 {'key': 'comment'}), 'value'));
+	});
+	assert.deepEqual(vals, ['constructor', 'toString'], 'as they were');
+    });
+
+    it('into an existing model, with the id map', function(){
+
+	var reqs = new request_set('utoken', 'mid:456');
+	var ids = reqs.add_graph(_graph());
+	assert.deepEqual(us.keys(ids).sort(), ['ev1', 'gp1', 'mf1'], 'map');
+	assert.lengthOf(reqs.requests(), 8, 'no model add');
+	assert.throws(function(){
+	    reqs.add_graph({});
+	}, /bbop-graph-noctua graph/, 'only graphs');
+    });
+
+});
+
+describe('copying parts of graphs', function(){
+
+    // mf enabled_by gp, part_of bp; evidence and contributor on the
+    // enabled_by fact.
+    function _graph(){
+	var g = new model.graph('mid:123');
+	g.add_annotation(new model.annotation({'key': 'title', 'value': 'a'}));
+	var mf = new model.node('mf1', null, ['GO:0004672']);
+	mf.add_annotation(new model.annotation({'key': 'contributor',
+						 'value': 'GOC:old'}));
+	mf.add_annotation(new model.annotation({'key': 'date',
+						 'value': '2015-01-01'}));
+	g.add_node(mf);
+	g.add_node(new model.node('gp1', null, ['UniProtKB:P12345']));
+	g.add_node(new model.node('bp1', null, ['GO:0008150']));
+	g.add_node(new model.node('ev1', null, ['ECO:0000314']));
+	var e = new model.edge('mf1', 'gp1', 'RO:0002333');
+	e.add_annotation(new model.annotation({'key': 'evidence',
+					       'value': 'ev1'}));
+	e.add_annotation(new model.annotation({'key': 'contributor',
+					       'value': 'GOC:old'}));
+	e.add_annotation(new model.annotation({'key': 'contributor',
+					       'value': 'GOC:other'}));
+	g.add_edge(e);
+	g.add_edge(new model.edge('mf1', 'bp1', 'BFO:0000050'));
+	return g;
+    }
+
+    it('the selected individuals, their facts, and evidence', function(){
+
+	var reqs = request_set.from_subgraph(_graph(), ['mf1', 'gp1'],
+					     'mid:456', {'token': 'utoken'});
+	var s = reqs.structure();
+	var rs = s['requests'];
+	assert.deepEqual(us.map(rs, function(r){
+	    return r['entity'] + ' ' + r['operation'];
+	}), [
+	    'individual add',
+	    'individual add',
+	    'individual add',
+	    'individual add-annotation',
+	    'individual add-annotation',
+	    'edge add',
+	    'edge add-annotation',
+	    'edge add-annotation',
+	    'edge add-annotation'
+	], 'no bp, no part_of, no model annotations');
+	assert.equal(rs[2]['arguments']['expressions'][0]['id'],
+		     'ECO:0000314', 'evidence came along');
+	assert.equal(rs[6]['arguments']['values'][0]['value'],
+		     rs[2]['arguments']['assign-to-variable'],
+		     'evidence reference remapped');
+	assert.isTrue(us.every(rs, function(r){
+	    return r['arguments']['model-id'] === 'mid:456';
+	}), 'all into the target model');
+    });
+
+    it('dropping and rewriting contributor and date', function(){
+
+	var reqs = new request_set('utoken', 'mid:456');
+	reqs.add_subgraph(_graph(), ['mf1', 'gp1'], {
+	    'contributor': 'GOC:new',
+	    'date': false
+	});
+	var anns = [];
+	us.each(reqs.structure()['requests'], function(r){
+	    us.each(r['arguments']['values'] || [], function(val){
+		anns.push(val['key'] + '=' + val['value']);
+	    });
+	});
+	assert.equal(us.filter(anns, function(a){
+	    return a === 'contributor=GOC:new';
+	}).length, 2, 'one rewritten contributor each on mf and fact');
+	assert.isFalse(us.some(anns, function(a){
+	    return /GOC:old|GOC:other|^date=/.test(a);
+	}), 'old contributors and dates gone');
+    });
+
+    it('annotation values that look like object properties', function(){
+
+	var g = _graph();
+	var e = g.get_edge('mf1', 'gp1', 'RO:0002333');
+	e.add_annotation(new model.annotation({'key': 'comment',
+					       'value': 'hasOwnProperty'}));
+	g.add_edge(e);
+	var ind = new model.node('constructor', null, ['GO:0005575']);
+	g.add_node(ind);
+
+	var reqs = new request_set('utoken', 'mid:456');
+	var ids = reqs.add_subgraph(g, ['mf1', 'gp1', 'constructor']);
+	assert.isString(ids['constructor'], 'odd individual id copied');
+	var vals = [];
+	us.each(reqs.structure()['requests'], function(r){
+	    vals = vals.concat(us.pluck(us.where(r['arguments']['values'] || [],
+						 {'key': 'comment'}), 'value'));
+	});
+	assert.deepEqual(vals, ['hasOwnProperty'], 'as it was');
+    });
+
+    it('unknown individuals are an error', function(){
+	var reqs = new request_set('utoken', 'mid:456');
+	assert.throws(function(){
+	    reqs.add_subgraph(_graph(), ['mf1', 'nope']);
+	}, /no such individual in graph: nope/);
+    });
+
+});
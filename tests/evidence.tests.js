@@ -0,0 +1,217 @@
+////
+//// Some unit testing for evidence values.
+////
+
+var chai = require('chai');
+chai.config.includeStack = true;
+var assert = chai.assert;
+var minerva_requests = require('..');
+var evidence = minerva_requests.evidence;
+var request_set = minerva_requests.request_set;
+var us = require('underscore');
+
+///
+/// Start unit testing.
+///
+
+describe('evidence values', function(){
+
+    it('good ones', function(){
+	var ev = new evidence({
+	    'code': 'ECO:0000314',
+	    'sources': ['PMID:123', 'GO_REF:0000024', 'DOI:10.1000/xyz.1',
+			'Reactome:R-HSA-12345'],
+	    'with': 'UniProtKB:P12345',
+	    'contributor': 'http://orcid.org/0000-0000-0000-0000',
+	    'date': new Date(2016, 0, 5),
+	    'comment': 'hi'
+	});
+	assert.equal(ev.code(), 'ECO:0000314', 'code');
+	assert.equal(ev.sources().length, 4, 'sources');
+	assert.deepEqual(ev.with_from(), ['UniProtKB:P12345'], 'with');
+	assert.equal(ev.date(), '2016-01-05', 'date');
+	assert.deepEqual(us.pluck(ev.annotations(), 'key'),
+			 ['source', 'source', 'source', 'source', 'with',
+			  'contributor', 'date', 'comment'], 'annotations');
+    });
+
+    it('bad ones', function(){
+	function _bad(args, re){
+	    assert.throws(function(){ new evidence(args); }, re);
+	}
+	_bad({'code': 'GO:0003674', 'sources': 'PMID:1'}, /ECO/);
+	_bad({'code': 'ECO:0000314'}, /no references/);
+	_bad({'code': 'ECO:0000314', 'sources': 'PMID:abc'}, /PMID:abc/);
+	_bad({'code': 'ECO:0000314', 'sources': 'foo'}, /foo/);
+	_bad({'code': 'ECO:0000314', 'sources': 'PMID:1', 'date': '5/1/2016'},
+	     /date/);
+    });
+});
+
+describe('evidence values in request sets', function(){
+
+    it('add_evidence and friends', function(){
+
+	var ev = new evidence({'code': 'ECO:0000314', 'sources': 'PMID:123',
+			       'contributor': 'GOC:foo', 'date': '2016-01-05'});
+
+	var reqs = new request_set('utoken', 'mid:123');
+	var mf = reqs.add_individual('GO:0003674');
+	reqs.add_evidence_to_last_individual(ev);
+	var gp = reqs.add_individual('UniProtKB:P12345');
+	reqs.add_fact([mf, gp, 'RO:0002333']);
+	reqs.add_evidence_to_last_fact(ev, 'mid:456');
+	reqs.add_evidence(ev, mf);
+
+	var struct = reqs.structure()['requests'];
+	assert.equal(struct.length, 12, 'all there');
+	assert.deepEqual(struct[2]['arguments']['values'], [
+	    {'key': 'source', 'value': 'PMID:123'},
+	    {'key': 'contributor', 'value': 'GOC:foo'},
+	    {'key': 'date', 'value': '2016-01-05'}
+	], 'evidence annotations');
+	assert.equal(struct[3]['arguments']['individual'], mf, 'to the mf');
+	assert.equal(struct[8]['arguments']['model-id'], 'mid:456', 'model');
+	assert.equal(struct[8]['entity'], 'edge', 'to the fact');
+
+	assert.equal(reqs.describe()[1],
+		     'Add evidence ECO:0000314 from PMID:123 to individual _:ind1',
+		     'still described');
+    });
+});
+
+describe('changing existing evidence', function(){
+
+    var model = new require('bbop-graph-noctua');
+
+    // A fact with one piece of evidence, and an individual that
+    // shares another with the fact.
+    function _graph(){
+	var g = new model.graph('mid:123');
+	g.add_node(new model.node('mf1', null, ['GO:0003674']));
+	g.add_node(new model.node('gp1', null, ['UniProtKB:P12345']));
+	var ev1 = new model.node('ev1', null, ['ECO:0000314']);
+	ev1.add_annotation(new model.annotation({'key': 'source',
+						  'value': 'PMID:1'}));
+	ev1.add_annotation(new model.annotation({'key': 'date',
+						  'value': '2016-01-01'}));
+	g.add_node(ev1);
+	var ev2 = new model.node('ev2', null, ['ECO:0000353']);
+	ev2.add_annotation(new model.annotation({'key': 'source',
+						  'value': 'PMID:2'}));
+	g.add_node(ev2);
+	var edge = new model.edge('mf1', 'gp1', 'RO:0002333');
+	edge.add_annotation(new model.annotation({'key': 'evidence',
+						   'value': 'ev1'}));
+	edge.add_annotation(new model.annotation({'key': 'evidence',
+						   'value': 'ev2'}));
+	g.add_edge(edge);
+	var mf = g.get_node('mf1');
+	mf.add_annotation(new model.annotation({'key': 'evidence',
+						 'value': 'ev2'}));
+	g.add_node(mf);
+	return g;
+    }
+    function _ops(reqs){
+	return us.map(reqs.structure()['requests'], function(r){
+	    return r['entity'] + ' ' + r['operation'];
+	});
+    }
+
+    it('annotations only, in place', function(){
+	var reqs = new request_set('utoken', 'mid:123');
+	var id = reqs.update_evidence('ev1', {'sources': ['PMID:1', 'PMID:3'],
+					      'date': '2016-02-02'}, _graph());
+	assert.equal(id, 'ev1', 'same individual');
+
+	var struct = reqs.structure()['requests'];
+	assert.deepEqual(_ops(reqs), ['individual remove-annotation',
+				      'individual add-annotation'], 'ops');
+	assert.deepEqual(struct[0]['arguments']['values'],
+			 [{'key': 'date', 'value': '2016-01-01'}], 'removed');
+	assert.deepEqual(struct[1]['arguments']['values'],
+			 [{'key': 'source', 'value': 'PMID:3'},
+			  {'key': 'date', 'value': '2016-02-02'}], 'added');
+
+	var none = new request_set('utoken', 'mid:123');
+	none.update_evidence('ev1', {}, _graph());
+	assert.equal(none.structure()['requests'].length, 0, 'no change');
+
+	assert.throws(function(){
+	    none.update_evidence('ev1', {'sources': 'nope'}, _graph());
+	}, /bad evidence/);
+	assert.throws(function(){
+	    none.update_evidence('ev9', {}, _graph());
+	}, /not in graph/);
+    });
+
+    it('only the changes are checked', function(){
+	var g = _graph();
+	var ev3 = new model.node('ev3', null, ['ECO:0000314']);
+	ev3.add_annotation(new model.annotation({'key': 'source',
+						  'value': 'MGI:MGI:222'}));
+	g.add_node(ev3);
+
+	var reqs = new request_set('utoken', 'mid:123');
+	reqs.update_evidence('ev3', {'date': new Date(2016, 1, 2)}, g);
+	assert.deepEqual(reqs.structure()['requests'][0]['arguments']['values'],
+			 [{'key': 'date', 'value': '2016-02-02'}], 'added');
+
+	var id = reqs.update_evidence('ev3', {'code': 'ECO:0000315'}, g);
+	var struct = reqs.structure()['requests'];
+	assert.equal(struct[1]['arguments']['assign-to-variable'], id, 'new');
+	assert.equal(struct[2]['arguments']['values'][0]['value'],
+		     'MGI:MGI:222', 'kept legacy source');
+
+	assert.throws(function(){
+	    reqs.update_evidence('ev3', {'code': 'GO:0003674'}, g);
+	}, /ECO/);
+    });
+
+    it('new code, new individual', function(){
+	var reqs = new request_set('utoken', 'mid:123');
+	var id = reqs.update_evidence('ev2', {'code': 'ECO:0000315'},
+				      _graph());
+	assert.notEqual(id, 'ev2', 'new individual');
+	assert.deepEqual(_ops(reqs), ['individual add',
+				      'individual add-annotation',
+				      'individual add-annotation',
+				      'edge add-annotation',
+				      'individual remove'], 'ops');
+	var struct = reqs.structure()['requests'];
+	assert.equal(struct[1]['arguments']['values'][0]['value'], 'PMID:2',
+		     'kept source');
+	assert.equal(struct[2]['arguments']['individual'], 'mf1', 'relinked');
+	assert.equal(struct[3]['arguments']['values'][0]['value'], id,
+		     'relinked');
+	assert.equal(struct[4]['arguments']['individual'], 'ev2', 'old gone');
+    });
+
+    it('replace on a fact', function(){
+	var reqs = new request_set('utoken', 'mid:123');
+	reqs.replace_evidence_on_fact(
+	    ['mf1', 'gp1', 'RO:0002333'],
+	    [{'code': 'ECO:0000314', 'sources': 'PMID:4'},
+	     {'code': 'ECO:0000250', 'sources': 'PMID:5'}],
+	    _graph());
+
+	assert.deepEqual(_ops(reqs), [
+	    // ev1 updated in place.
+	    'individual remove-annotation', 'individual add-annotation',
+	    // ev2 is shared, so only unlinked.
+	    'edge remove-annotation',
+	    // And the brand new one.
+	    'individual add', 'individual add-annotation',
+	    'edge add-annotation'
+	], 'ops');
+	var struct = reqs.structure()['requests'];
+	assert.deepEqual(us.pluck(struct[0]['arguments']['values'], 'value'),
+			 ['PMID:1', '2016-01-01'], 'old source and date');
+	assert.equal(struct[2]['arguments']['values'][0]['value'], 'ev2',
+		     'unlinked');
+
+	assert.throws(function(){
+	    reqs.replace_evidence_on_fact(['mf1', 'gp1', 'RO:1'], [], _graph());
+	}, /not in graph/);
+    });
+});
@@ -0,0 +1,152 @@
+////
+//// Some unit testing for reading GPAD and GAF files.
+////
+
+var chai = require('chai');
+chai.config.includeStack = true;
+var assert = chai.assert;
+var minerva_requests = require('..');
+var gpad = minerva_requests.gpad;
+var us = require('underscore');
+
+// Tab-separated lines.
+function _lines(rows){
+    return us.map(rows, function(row){ return row.join("\t"); }).join("\n");
+}
+
+var gaf_text = _lines([
+    ['!gaf-version: 2.2'],
+    ['UniProtKB', 'P12345', 'ABC1', 'enables', 'GO:0004672',
+     'PMID:111|MGI:MGI:222', 'IDA', '', 'F', 'ABC kinase', '', 'protein',
+     'taxon:9606', '20170102', 'UniProt', '', ''],
+    ['UniProtKB', 'P12345', 'ABC1', 'involved_in', 'GO:0006468',
+     'GO_REF:0000024', 'ISS', 'UniProtKB:Q99999|UniProtKB:Q88888', 'P', '', '', 'protein',
+     'taxon:9606', '20170102', 'UniProt', '', ''],
+    ['UniProtKB', 'P12345', 'ABC1', 'NOT|located_in', 'GO:0005634',
+     'PMID:333', 'IDA', '', 'C', '', '', 'protein',
+     'taxon:9606', '20170102', 'UniProt', '', ''],
+    ['UniProtKB', 'Q67890', 'XYZ2', 'located_in', 'GO:0005737',
+     'PMID:444', 'XXX', '', 'C', '', '', 'protein',
+     'taxon:9606', '20170102', 'UniProt', '', ''],
+    ['UniProtKB', 'Q67890', 'XYZ2', 'part_of', 'GO:0005737',
+     'MGI:MGI:555', 'IDA', '', 'C', '', '', 'protein',
+     'taxon:9606', '20170102', 'UniProt', '', '']
+]);
+
+var gpad_text = _lines([
+    ['!gpad-version: 2.0'],
+    ['UniProtKB:P12345', '', 'RO:0002327', 'GO:0004672', 'PMID:111',
+     'ECO:0000314', '', '', '2017-01-02', 'UniProt', '', ''],
+    ['UniProtKB:P12345', '', 'RO:0001025', 'GO:0005737', 'PMID:111',
+     'IDA', '', '', '2017-01-02', 'UniProt', '', ''],
+    ['too', 'short']
+]);
+
+///
+/// Start unit testing.
+///
+
+describe('parsing annotation files', function(){
+
+    it('GAF', function(){
+	var res = gpad.parse(gaf_text);
+	assert.equal(res['format'], 'gaf', 'format from header');
+	assert.lengthOf(res['annotations'], 4, 'one bad evidence code');
+	assert.deepEqual(res['problems'], [
+	    {'line': 5, 'message': 'unknown evidence code: XXX'}
+	], 'problem reported');
+
+	var ann = res['annotations'][0];
+	assert.equal(ann['gene_product'], 'UniProtKB:P12345', 'gp');
+	assert.equal(ann['relation'], 'RO:0002327', 'enables');
+	assert.equal(ann['evidence_code'], 'ECO:0000314', 'IDA to ECO');
+	assert.deepEqual(ann['references'], ['PMID:111', 'MGI:MGI:222'],
+			 'references');
+	assert.equal(ann['taxon'], 'NCBITaxon:9606', 'taxon');
+	assert.equal(ann['date'], '2017-01-02', 'date');
+	assert.isTrue(res['annotations'][2]['negated'], 'NOT');
+	assert.equal(res['annotations'][2]['relation'], 'RO:0001025',
+		     'relation of negated');
+    });
+
+    it('GPAD', function(){
+	var res = gpad.parse(gpad_text);
+	assert.equal(res['format'], 'gpad', 'format from header');
+	assert.lengthOf(res['annotations'], 1, 'one good one');
+	assert.deepEqual(us.pluck(res['problems'], 'line'), [3, 4],
+			 'GAF evidence code and short line');
+	assert.equal(res['annotations'][0]['date'], '2017-01-02', 'date');
+    });
+
+    it('unknown formats', function(){
+	assert.throws(function(){
+	    gpad.parse('a\tb\n');
+	}, /unknown annotation file format/);
+	assert.lengthOf(gpad.parse('a\tb\n', 'gaf')['problems'], 1,
+			'given format');
+    });
+
+});
+
+describe('converting annotations to request sets', function(){
+
+    it('one model per gene product', function(){
+
+	var res = gpad.convert(gpad.parse(gaf_text)['annotations'],
+			       {'token': 'utoken'});
+	assert.lengthOf(res['request_sets'], 1, 'Q67890 had no usable refs');
+	assert.deepEqual(res['problems'], [
+	    {'line': 2,
+	     'message': 'reference left out of evidence: MGI:MGI:222'},
+	    {'line': 4, 'message': 'negated annotations are not converted'},
+	    {'line': 6,
+	     'message': 'reference left out of evidence: MGI:MGI:555'},
+	    {'line': 6, 'message': 'bad evidence: no references'}
+	], 'problems in line order');
+
+	var rs = res['request_sets'][0].structure()['requests'];
+	assert.equal(rs[0]['entity'] + ' ' + rs[0]['operation'], 'model add',
+		     'new model');
+	assert.equal(rs[0]['arguments']['taxon-id'], 'NCBITaxon:9606',
+		     'taxon');
+	assert.equal(rs[1]['arguments']['values'][0]['value'],
+		     'ABC1 (UniProtKB:P12345)', 'title');
+
+	// gp, mf, fact, evidence (3 requests), bp, fact, evidence.
+	var gp_var = rs[2]['arguments']['assign-to-variable'];
+	var mf_var = rs[3]['arguments']['assign-to-variable'];
+	assert.deepEqual([rs[4]['arguments']['subject'],
+			  rs[4]['arguments']['object'],
+			  rs[4]['arguments']['predicate']],
+			 [mf_var, gp_var, 'RO:0002333'], 'enabled by');
+	assert.deepEqual(rs[6]['arguments']['values'], [
+	    {'key': 'source', 'value': 'PMID:111'},
+	    {'key': 'date', 'value': '2017-01-02'}
+	], 'usable references only, and the date');
+	assert.equal(rs[9]['arguments']['subject'], gp_var, 'same gp');
+	assert.equal(rs[9]['arguments']['predicate'], 'RO:0002331',
+		     'involved in');
+	assert.deepEqual(us.pluck(us.where(rs[11]['arguments']['values'],
+					   {'key': 'with'}), 'value'),
+			 ['UniProtKB:Q99999', 'UniProtKB:Q88888'],
+			 'with/from split');
+	assert.lengthOf(rs, 13, 'nothing else');
+    });
+
+    it('into an existing model', function(){
+	var res = gpad.convert(gpad.parse(gaf_text)['annotations'],
+			       {'model_id': 'gomodel:123'});
+	assert.lengthOf(res['request_sets'], 1, 'one set');
+	var rs = res['request_sets'][0].structure()['requests'];
+	assert.isTrue(us.every(rs, function(r){
+	    return r['arguments']['model-id'] === 'gomodel:123';
+	}), 'no new model');
+    });
+
+    it('bad grouping', function(){
+	assert.throws(function(){
+	    gpad.convert([], {'group_by': 'taxon'});
+	}, /unknown grouping: taxon/);
+    });
+
+});
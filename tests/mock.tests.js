@@ -0,0 +1,218 @@
+////
+//// Some end-to-end testing of request_set helpers against the mock
+//// Minerva.
+////
+
+var chai = require('chai');
+chai.config.includeStack = true;
+var assert = chai.assert;
+var us = require('underscore');
+var minerva_requests = require('..');
+var request = minerva_requests.request;
+var request_set = minerva_requests.request_set;
+var response = minerva_requests.response;
+var transport = minerva_requests.transport;
+var mock_minerva = minerva_requests.mock_minerva;
+
+///
+/// Helpers.
+///
+
+// Run a request set against the mock, getting a parsed response.
+function _run(mock, reqs){
+    return new response(mock.execute(reqs.structure()));
+}
+
+// Create a new empty model in the mock, returning its id.
+function _new_model(mock){
+    var reqs = new request_set('utoken');
+    reqs.add_model();
+    return _run(mock, reqs).model_id();
+}
+
+// Find the values of an annotation key in a list of annotations.
+function _values(anns, key){
+    return us.pluck(us.where(anns, {'key': key}), 'value');
+}
+
+///
+/// Start unit testing.
+///
+
+describe('mock minerva executes request sets', function(){
+
+    it('individuals and facts with variables', function(){
+	var mock = new mock_minerva();
+	var mid = _new_model(mock);
+	assert.deepEqual(mock.model_ids(), [mid], 'one model');
+
+	var reqs = new request_set('utoken', mid);
+	var mf = reqs.add_individual('GO:0003674');
+	var gp = reqs.add_individual('UniProtKB:P12345');
+	reqs.add_fact([mf, gp, 'RO:0002333']);
+	var resp = _run(mock, reqs);
+
+	assert.isTrue(resp.okay_p(), 'okay');
+	assert.equal(resp.signal(), 'merge', 'merge');
+	assert.equal(resp.individuals().length, 2, 'two individuals');
+	var fact = resp.facts()[0];
+	assert.equal(fact['subject'], resp.individuals()[0]['id'], 'minted');
+	assert.equal(fact['object'], resp.individuals()[1]['id'], 'minted');
+	assert.notEqual(fact['subject'], mf, 'variable was resolved');
+    });
+
+    it('model annotations with variables are removed', function(){
+	var mock = new mock_minerva();
+	var mid = _new_model(mock);
+
+	var reqs = new request_set('utoken', mid);
+	var ev = reqs.add_individual('ECO:0000314');
+	reqs.add_annotation_to_model('evidence', ev);
+	reqs.remove_annotation_from_model('evidence', ev);
+	var resp = _run(mock, reqs);
+	assert.isTrue(resp.okay_p(), 'okay');
+
+	var model = mock.model(mid);
+	assert.equal(model['individuals'].length, 1, 'one individual');
+	assert.deepEqual(_values(model['annotations'], 'evidence'), [],
+			 'annotation to variable removed');
+    });
+
+    it('add_evidence ties evidence to the right edge', function(){
+	var mock = new mock_minerva();
+	var mid = _new_model(mock);
+
+	var reqs = new request_set('utoken', mid);
+	var mf = reqs.add_individual('GO:0003674');
+	var gp = reqs.add_individual('UniProtKB:P12345');
+	var bp = reqs.add_individual('GO:0008150');
+	reqs.add_fact([mf, gp, 'RO:0002333']);
+	reqs.add_fact([mf, bp, 'BFO:0000050']);
+	reqs.add_evidence('ECO:0000314', 'PMID:123', ['foo:bar'],
+			  [mf, bp, 'BFO:0000050']);
+	var resp = _run(mock, reqs);
+	assert.isTrue(resp.okay_p(), 'okay');
+
+	var model = mock.model(mid);
+	var ev = us.find(model['individuals'], function(i){
+	    return i['type'][0]['id'] === 'ECO:0000314';
+	});
+	assert.deepEqual(_values(ev['annotations'], 'source'), ['PMID:123'],
+			 'source on evidence');
+	assert.deepEqual(_values(ev['annotations'], 'with'), ['foo:bar'],
+			 'with on evidence');
+
+	var part_of = us.findWhere(model['facts'], {'property': 'BFO:0000050'});
+	var enabled_by = us.findWhere(model['facts'], {'property': 'RO:0002333'});
+	assert.deepEqual(_values(part_of['annotations'], 'evidence'), [ev['id']],
+			 'evidence on the right edge');
+	assert.deepEqual(enabled_by['annotations'], [], 'not the other');
+
+	// Removing the evidence cleans up the reference.
+	var reqs2 = new request_set('utoken', mid);
+	reqs2.remove_evidence(ev['id']);
+	_run(mock, reqs2);
+	part_of = us.findWhere(mock.model(mid)['facts'],
+			       {'property': 'BFO:0000050'});
+	assert.deepEqual(part_of['annotations'], [], 'cleaned up');
+    });
+
+    it('model add, annotations, and get in one batch', function(){
+	var mock = new mock_minerva();
+
+	var reqs = new request_set('utoken');
+	reqs.add_model();
+	reqs.add_annotation_to_model('title', 'foo');
+	reqs.add_individual('GO:0003674');
+	var resp = _run(mock, reqs);
+	assert.isTrue(resp.okay_p(), 'okay');
+	assert.equal(resp.annotations()[0]['value'], 'foo', 'title');
+	assert.equal(resp.individuals().length, 1, 'implied model');
+
+	var get = new request_set('utoken');
+	get.get_model(resp.model_id());
+	var resp2 = _run(mock, get);
+	assert.equal(resp2.signal(), 'rebuild', 'rebuild');
+	assert.equal(resp2.intention(), 'query', 'query');
+	assert.equal(resp2.individuals().length, 1, 'same model');
+    });
+
+    it('undo, redo, and get-undo-redo', function(){
+	var mock = new mock_minerva();
+	var mid = _new_model(mock);
+
+	var reqs = new request_set('utoken', mid);
+	reqs.add_individual('GO:0003674');
+	_run(mock, reqs);
+	assert.equal(mock.model(mid)['individuals'].length, 1, 'added');
+
+	var ur = new request_set('utoken', mid);
+	ur.get_undo_redo();
+	var resp = _run(mock, ur);
+	assert.equal(resp.signal(), 'meta', 'meta');
+	assert.equal(resp.undo().length, 1, 'one undo');
+	assert.equal(resp.redo().length, 0, 'no redo');
+
+	var undo = new request_set('utoken', mid);
+	undo.undo_last_model_batch();
+	assert.equal(_run(mock, undo).individuals().length, 0, 'undone');
+
+	resp = _run(mock, ur);
+	assert.equal(resp.undo().length, 0, 'no undo');
+	assert.equal(resp.redo().length, 1, 'one redo');
+
+	var redo = new request_set('utoken', mid);
+	redo.redo_last_model_batch();
+	assert.equal(_run(mock, redo).individuals().length, 1, 'redone');
+    });
+
+    it('failures are atomic and point at the request', function(){
+	var mock = new mock_minerva();
+	var mid = _new_model(mock);
+
+	var reqs = new request_set('utoken', mid);
+	reqs.add_individual('GO:0003674');
+	var req = new request('edge', 'add');
+	req.object('GO:456');
+	req.predicate('RO:123');
+	reqs.add(req);
+	var resp = _run(mock, reqs);
+
+	assert.isFalse(resp.okay_p(), 'not okay');
+	assert.equal(resp.error_type(), 'malformed-request', 'malformed');
+	assert.equal(resp.error_request_index(), 1, 'second request');
+	assert.equal(mock.model(mid)['individuals'].length, 0, 'rolled back');
+
+	// No token for actions.
+	var anon = new request_set(null, mid);
+	anon.add_individual('GO:0003674');
+	assert.equal(_run(mock, anon).error_type(), 'authentication', 'auth');
+    });
+
+    it('callable and meta', function(){
+	var mock = new mock_minerva({'relations': [{'id': 'RO:0002333'}]});
+	_new_model(mock);
+
+	var reqs = new request_set();
+	reqs.get_meta();
+	var resp = new response(mock.execute(reqs.callable()));
+	assert.equal(resp.signal(), 'meta', 'meta');
+	assert.equal(resp.data()['relations'][0]['id'], 'RO:0002333', 'rels');
+	assert.equal(us.keys(resp.data()['models-meta']).length, 1, 'models');
+    });
+
+    it('as a transport adapter', function(){
+	var mock = new mock_minerva();
+	var t = new transport('http://barista', {'adapter': mock.adapter});
+
+	var reqs = new request_set('utoken', null, true);
+	reqs.add_model();
+	reqs.add_individual('GO:0003674');
+	return t.send(reqs).then(function(resp){
+	    assert.isTrue(resp.okay_p(), 'okay');
+	    assert.deepEqual(resp.inferred_types(resp.individuals()[0]['id']),
+			     [{'type': 'class', 'id': 'GO:0003674'}],
+			     'reasoner pretend');
+	});
+    });
+});
@@ -0,0 +1,104 @@
+////
+//// Some unit testing for the relation registry.
+////
+
+var chai = require('chai');
+chai.config.includeStack = true;
+var assert = chai.assert;
+var minerva_requests = require('..');
+var relation_registry = minerva_requests.relation_registry;
+var request_set = minerva_requests.request_set;
+var us = require('underscore');
+
+var model = new require('bbop-graph-noctua');
+
+///
+/// Start unit testing.
+///
+
+describe('relation registry', function(){
+
+    it('lookups', function(){
+	var reg = new relation_registry();
+	assert.equal(reg.label('RO:0002333'), 'enabled by', 'label');
+	assert.equal(reg.label('RO:9999999'), null, 'no label');
+	assert.deepEqual(reg.get('BFO:0000066')['range'],
+			 ['cellular_component', 'anatomical_entity'], 'range');
+	assert.isTrue(us.contains(reg.ids(), 'RO:0002629'), 'has dpr');
+
+	assert.equal(reg.category('GO:0003674'), 'molecular_function', 'mf');
+	assert.equal(reg.category('UniProtKB:P12345'), 'gene_product', 'gp');
+	assert.equal(reg.category('GO:0004672'), null, 'unknown');
+    });
+
+    it('checks', function(){
+	var reg = new relation_registry();
+
+	assert.deepEqual(reg.check('BFO:0000066', ['GO:0003674'],
+				   ['GO:0005575']), [], 'fine');
+	assert.deepEqual(reg.check('BFO:0000066', ['GO:0004672'],
+				   ['GO:0005634']), [], 'unknown, so fine');
+	assert.deepEqual(us.pluck(reg.check('BFO:0000066', ['UniProtKB:P1'],
+					    ['UniProtKB:P2']), 'code'),
+			 ['bad-subject', 'bad-object'], 'bad both ways');
+	assert.deepEqual(us.pluck(reg.check('RO:9999999', [], []), 'code'),
+			 ['unknown-relation'], 'unknown relation');
+    });
+
+    it('custom', function(){
+	var reg = new relation_registry({}, function(id){
+	    return id.indexOf('MF') === 0 ? 'molecular_function' : 'thing';
+	});
+	reg.add('RO:1', {'label': 'foo', 'domain': ['molecular_function']});
+	assert.deepEqual(reg.check('RO:1', ['MF:1'], ['X:1']), [], 'fine');
+	assert.equal(reg.check('RO:1', ['X:1'], ['X:1']).length, 1, 'bad');
+	assert.throws(function(){ reg.add('RO:2', {}); }, Error);
+    });
+});
+
+describe('request sets check facts', function(){
+
+    it('off by default', function(){
+	var reqs = new request_set('utoken', 'mid:123');
+	var gp = reqs.add_individual('UniProtKB:P12345');
+	reqs.add_fact([gp, gp, 'BFO:0000066']);
+	assert.equal(reqs.fact_problems([gp, gp, 'BFO:0000066']).length, 2,
+		     'but can still be checked');
+	assert.deepEqual(reqs.relation_warnings(), [], 'no warnings');
+    });
+
+    it('throw', function(){
+	var reqs = new request_set('utoken', 'mid:123');
+	reqs.relation_checking({'mode': 'throw'});
+	var mf = reqs.add_individual('GO:0003674');
+	var gp = reqs.add_individual('UniProtKB:P12345');
+	reqs.add_fact([mf, gp, 'http://purl.obolibrary.org/obo/RO_0002333']);
+	assert.throws(function(){
+	    reqs.add_fact([mf, gp, 'BFO:0000066']);
+	}, /occurs in/);
+	assert.throws(function(){
+	    reqs.add_fact([mf, gp, 'RO:9999999']);
+	}, /unknown relation/);
+	assert.equal(reqs.structure()['requests'].length, 3, 'not added');
+    });
+
+    it('warn, with types from a graph', function(){
+	var g = new model.graph('mid:123');
+	g.add_node(new model.node('gp1', null, ['UniProtKB:P12345']));
+
+	var warned = [];
+	var reqs = new request_set('utoken', 'mid:123');
+	reqs.relation_checking({'mode': 'warn', 'graph': g,
+				'warn': function(p){ warned.push(p); }});
+	var mf = reqs.add_individual('GO:0003674');
+	reqs.add_fact([mf, 'gp1', 'BFO:0000066']);
+
+	assert.deepEqual(us.pluck(reqs.relation_warnings(), 'code'),
+			 ['bad-object'], 'warning');
+	assert.equal(warned.length, 1, 'called');
+	assert.equal(reqs.structure()['requests'].length, 2, 'still added');
+	assert.throws(function(){
+	    reqs.relation_checking({'mode': 'loud'});
+	}, Error);
+    });
+});
@@ -0,0 +1,166 @@
+////
+//// Some unit testing for the response side of minerva-requests.
+////
+
+var chai = require('chai');
+chai.config.includeStack = true;
+var assert = chai.assert;
+var minerva_requests = require('..');
+var response = minerva_requests.response;
+
+///
+/// Helpers.
+///
+
+// A trimmed-down real-ish success response.
+function _success(){
+    return {
+	"packet-id": "ab12",
+	"uid": "GOC:foo",
+	"intention": "action",
+	"signal": "merge",
+	"message": "success",
+	"message-type": "success",
+	"data": {
+	    "id": "gomodel:123",
+	    "individuals": [
+		{
+		    "id": "gomodel:123/i1",
+		    "type": [{"type": "class", "id": "GO:0004672"}],
+		    "inferred-type": [{"type": "class", "id": "GO:0003674"}],
+		    "annotations": []
+		},
+		{
+		    "id": "gomodel:123/i2",
+		    "type": [{"type": "class", "id": "GO:0008150"}]
+		}
+	    ],
+	    "facts": [
+		{
+		    "subject": "gomodel:123/i1",
+		    "object": "gomodel:123/i2",
+		    "property": "BFO:0000050",
+		    "annotations": []
+		}
+	    ],
+	    "annotations": [{"key": "title", "value": "foo"}]
+	}
+    };
+}
+
+// An error response in the style of Minerva.
+function _error(message, exception_type, exception_msg){
+    return {
+	"packet-id": "ab13",
+	"uid": "GOC:foo",
+	"intention": "action",
+	"message": message,
+	"message-type": "error",
+	"commentary": {
+	    "exceptionType": exception_type,
+	    "exceptionMsg": exception_msg
+	}
+    };
+}
+
+///
+/// Start unit testing.
+///
+
+describe('responses can be parsed', function(){
+
+    it('success accessors', function(){
+	var resp = new response(_success());
+
+	assert.isTrue(resp.okay_p(), 'okay');
+	assert.equal(resp.message_type(), 'success', 'message type');
+	assert.equal(resp.signal(), 'merge', 'signal');
+	assert.equal(resp.intention(), 'action', 'intention');
+	assert.equal(resp.uid(), 'GOC:foo', 'uid');
+	assert.equal(resp.packet_id(), 'ab12', 'packet id');
+	assert.equal(resp.model_id(), 'gomodel:123', 'model id');
+	assert.equal(resp.individuals().length, 2, 'individuals');
+	assert.equal(resp.facts().length, 1, 'facts');
+	assert.deepEqual(resp.properties(), [], 'no properties');
+	assert.equal(resp.annotations()[0]['value'], 'foo', 'annotations');
+	assert.deepEqual(resp.undo(), [], 'no undo');
+	assert.isNull(resp.error_type(), 'no error');
+	assert.isNull(resp.error_request_index(), 'no error index');
+    });
+
+    it('inferred types', function(){
+	var resp = new response(JSON.stringify(_success()));
+
+	assert.deepEqual(resp.inferred_types('gomodel:123/i1'),
+			 [{"type": "class", "id": "GO:0003674"}], 'one');
+	assert.deepEqual(resp.inferred_types('gomodel:123/i2'), [], 'none');
+	assert.deepEqual(resp.inferred_types('nope'), [], 'not there');
+	assert.deepEqual(Object.keys(resp.inferred_types()),
+			 ['gomodel:123/i1', 'gomodel:123/i2'], 'all');
+    });
+
+    it('undo/redo', function(){
+	var raw = _success();
+	raw['signal'] = 'meta';
+	raw['data'] = {
+	    "undo": [{"user-id": "GOC:foo", "time": 1, "changes": []}],
+	    "redo": []
+	};
+	var resp = new response(raw);
+
+	assert.equal(resp.signal(), 'meta', 'signal');
+	assert.equal(resp.undo().length, 1, 'one undo');
+	assert.equal(resp.redo().length, 0, 'no redo');
+	assert.isNull(resp.model_id(), 'no model');
+    });
+});
+
+describe('response errors can be classified', function(){
+
+    it('authentication', function(){
+	var resp = new response(_error(
+	    'Insufficient permissions for mutating operation.', null, null));
+	assert.isFalse(resp.okay_p(), 'not okay');
+	assert.equal(resp.error_type(), 'authentication', 'auth');
+    });
+
+    it('malformed request', function(){
+	var resp = new response(_error(
+	    'Could not successfully complete batch request.',
+	    'org.geneontology.minerva.server.handler.OperationsTools$MissingParameterException',
+	    'Expected non-null value for: subject'));
+	assert.equal(resp.error_type(), 'malformed-request', 'malformed');
+	assert.isNull(resp.error_request_index(), 'no index');
+
+	var raw = _error('Could not successfully complete batch request.',
+			 null, 'Unknown operation: ad');
+	raw['commentary']['request-index'] = 3;
+	resp = new response(raw);
+	assert.equal(resp.error_type(), 'malformed-request', 'malformed');
+	assert.equal(resp.error_request_index(), 3, 'index');
+    });
+
+    it('server exception', function(){
+	var resp = new response(_error(
+	    'Could not successfully complete batch request.',
+	    'java.lang.NullPointerException', null));
+	assert.equal(resp.error_type(), 'server-exception', 'exception');
+
+	// Mentioning tokens or unknown things is not enough.
+	resp = new response(_error(
+	    'Could not successfully complete batch request.',
+	    'java.lang.IllegalStateException',
+	    'Unknown state while refreshing token cache'));
+	assert.equal(resp.error_type(), 'server-exception', 'still exception');
+    });
+
+    it('malformed response', function(){
+	var resp = new response('<html>502 Bad Gateway</html>');
+	assert.isFalse(resp.okay_p(), 'not okay');
+	assert.equal(resp.message_type(), 'error', 'error');
+	assert.equal(resp.error_type(), 'malformed-response', 'bad json');
+	assert.isNull(resp.raw(), 'nothing parsed');
+	assert.equal(new response([]).error_type(), 'malformed-response',
+		     'not an object');
+    });
+});
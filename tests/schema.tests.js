@@ -0,0 +1,81 @@
+////
+//// Some unit testing for the request set JSON Schema.
+////
+
+var chai = require('chai');
+chai.config.includeStack = true;
+var assert = chai.assert;
+var minerva_requests = require('..');
+var request_set = minerva_requests.request_set;
+var validate_structure = minerva_requests.validate_structure;
+var class_expression = require('class-expression');
+var us = require('underscore');
+
+///
+/// Start unit testing.
+///
+
+describe('the request set schema', function(){
+
+    it('is shipped as JSON Schema', function(){
+	var schema = minerva_requests.request_set_schema;
+	assert.equal(schema['$schema'], 'http://json-schema.org/draft-04/schema#',
+		     'draft 4');
+	assert.deepEqual(schema['required'], ['requests'], 'requests needed');
+    });
+
+    it('accepts what the library makes', function(){
+
+	var reqs = new request_set('utoken', 'mid:123', true, ['http://group']);
+	reqs.external_client_id('client');
+	reqs.external_return_url('http://return');
+	var mf = reqs.add_individual(class_expression.intersection(
+	    ['GO:0003674', class_expression.svf('BFO:0000050', 'GO:0005634')]));
+	var gp = reqs.add_individual('UniProtKB:P12345', 'gomodel:123/gp');
+	reqs.add_fact([mf, gp, 'RO:0002333']);
+	reqs.add_evidence_to_last_fact('ECO:0000314', ['PMID:123'], 'x');
+	reqs.add_annotation_to_model('date', '2017-01-02', 'xsd:date');
+	reqs.add_model({'taxon-id': 'NCBITaxon:9606'});
+	reqs.get_meta();
+
+	assert.deepEqual(validate_structure(reqs.structure()), [],
+			 'no problems');
+	assert.deepEqual(validate_structure(new request_set().structure()), [],
+			 'empty set');
+    });
+
+    it('catches hand-built mistakes', function(){
+
+	var problems = validate_structure({
+	    'token': 'utoken',
+	    'intention': 'actoin',
+	    'use-reasoner': true,
+	    'x-modle-id': 'mid:123',
+	    'requests': [
+		{'entity': 'individual', 'operation': 'add',
+		 'arguments': {'expressions': [{'id': 'GO:0003674'}]}},
+		{'entity': 'edge', 'operation': 'add-annotation',
+		 'arguments': {'subject': 'a', 'object': 'b',
+			       'predicate': 'RO:0002333',
+			       'values': [{'key': 'evidence'}]}},
+		{'entity': 'fact', 'operation': 'add'}
+	    ]
+	});
+	assert.deepEqual(us.map(problems, function(p){
+	    return p['path'] + ': ' + p['message'];
+	}), [
+	    '/intention: expected one of action, query, found "actoin"',
+	    '/use-reasoner: expected one of true, false, found true',
+	    '/: unknown property: x-modle-id',
+	    '/requests/0/arguments/expressions/0: missing required property: type',
+	    '/requests/1/arguments/values/0: missing required property: value',
+	    '/requests/2: missing required property: arguments',
+	    '/requests/2/entity: expected one of individual, edge, model, meta, found "fact"'
+	], 'all of the problems, with where they are');
+
+	assert.deepEqual(validate_structure([]), [
+	    {'path': '/', 'message': 'expected object, found array'}
+	], 'not even an object');
+    });
+
+});
@@ -0,0 +1,177 @@
+////
+//// Some unit testing for rendering request sets as SPARQL UPDATE.
+////
+
+var chai = require('chai');
+chai.config.includeStack = true;
+var assert = chai.assert;
+var minerva_requests = require('..');
+var request_set = minerva_requests.request_set;
+var sparql_update = minerva_requests.sparql_update;
+var class_expression = require('class-expression');
+var us = require('underscore');
+
+var GRAPH = 'GRAPH <http://model.geneontology.org/123>';
+var OWL = 'http://www.w3.org/2002/07/owl#';
+
+// Mint predictable IRIs for the variables.
+function _mint(variable, model_iri){
+    return model_iri + '/new-' + variable;
+}
+
+///
+/// Start unit testing.
+///
+
+describe('SPARQL UPDATE from request sets', function(){
+
+    it('creation with types, facts, evidence, and annotations', function(){
+
+	var reqs = new request_set('utoken', 'gomodel:123');
+	var mf = reqs.add_individual('GO:0003674');
+	reqs.variable('gp');
+	var gp = reqs.add_individual('UniProtKB:P12345', 'gp');
+	var svf = new class_expression();
+	svf.as_svf('BFO:0000050', 'GO:0005634');
+	reqs.add_type_to_individual(svf, 'gp');
+	reqs.add_fact([mf, gp, 'RO:0002333']);
+	reqs.add_evidence('ECO:0000314', 'PMID:123', null,
+			  [mf, gp, 'RO:0002333']);
+	reqs.add_annotation_to_individual('comment', 'a "quoted"\nline', null,
+					  mf);
+	reqs.add_annotation_to_model('date', '2017-01-02', 'xsd:date');
+
+	var up = sparql_update(reqs, {'mint': _mint});
+	var ops = up.split(" ;\n");
+	assert.lengthOf(ops, 10, 'one operation per request, two for the ' +
+			'fact annotation');
+	assert.equal(ops[1],
+		     'INSERT DATA { ' + GRAPH + ' { ' +
+		     '<http://model.geneontology.org/123/new-gp> a <' + OWL +
+		     'NamedIndividual> . ' +
+		     '<http://model.geneontology.org/123/new-gp> a ' +
+		     '<http://identifiers.org/uniprot/P12345> . } }',
+		     'named variable minted');
+	assert.include(ops[2], 'a [ a <' + OWL + 'Restriction> ; <' + OWL +
+		       'onProperty> <http://purl.obolibrary.org/obo/BFO_0000050>',
+		       'restriction');
+	assert.include(ops[3], '<http://purl.obolibrary.org/obo/RO_0002333>',
+		       'fact');
+	assert.match(ops[6], /^INSERT \{ GRAPH \S+ \{ \?ax <http:\/\/geneontology/,
+		     'onto an existing reification');
+	assert.include(ops[7], '[ a <' + OWL + 'Axiom> ] <' + OWL +
+		       'annotatedSource> ', 'or a new one');
+	assert.include(ops[7], '<http://geneontology.org/lego/evidence> ' +
+		       '<http://model.geneontology.org/123/new-',
+		       'evidence is an individual');
+	assert.equal(ops[8],
+		     'INSERT DATA { ' + GRAPH + ' { ' +
+		     '<http://model.geneontology.org/123/new-' + mf + '> ' +
+		     '<http://www.w3.org/2000/01/rdf-schema#comment> ' +
+		     '"a \\"quoted\\"\\nline" . } }', 'escaped literal');
+	assert.include(ops[9], '<http://model.geneontology.org/123> ' +
+		       '<http://purl.org/dc/elements/1.1/date> "2017-01-02"' +
+		       '^^<http://www.w3.org/2001/XMLSchema#date> .',
+		       'typed model annotation');
+    });
+
+    it('removals', function(){
+
+	var reqs = new request_set('utoken', 'gomodel:123');
+	var fact = ['gomodel:123/a', 'gomodel:123/b', 'RO:0002333'];
+	reqs.remove_fact(fact);
+	reqs.remove_annotation_from_fact('comment', 'x', null, fact);
+	reqs.remove_type_from_individual('GO:0003674', 'gomodel:123/a');
+	reqs.remove_individual('gomodel:123/b');
+	reqs.get_model();
+
+	var ops = sparql_update(reqs).split(" ;\n");
+	assert.lengthOf(ops, 9, 'get is skipped');
+	assert.match(ops[0], /^DELETE DATA /, 'fact');
+	assert.match(ops[1], /^DELETE \{ GRAPH \S+ \{ \?ax \?ap \?av \. \} \}\nWHERE /,
+		     'fact annotations go with it');
+	assert.include(ops[2], '?ax <http://www.w3.org/2000/01/rdf-schema#comment> "x" .',
+		       'one fact annotation');
+	assert.include(ops[3], '; ?ap ?av . FILTER NOT EXISTS',
+		       'then the reification, if nothing is left on it');
+	assert.equal(ops[4], 'DELETE DATA { ' + GRAPH + ' { ' +
+		     '<http://model.geneontology.org/123/a> a ' +
+		     '<http://purl.obolibrary.org/obo/GO_0003674> . } }',
+		     'type');
+	assert.include(ops[5], '<' + OWL + 'annotatedTarget> ' +
+		       '<http://model.geneontology.org/123/b> ; ?ap ?av .',
+		       'reifications of its facts');
+	assert.include(ops[6], '<http://model.geneontology.org/123/b> a ?t .',
+		       'restrictions of its types');
+	assert.include(ops[6], 'FILTER(isBlank(?t) && isBlank(?n))',
+		       'only blank nodes');
+	assert.include(ops[7], '<http://model.geneontology.org/123/b> ?p ?o',
+		       'individual as subject');
+	assert.include(ops[8], '?s ?p <http://model.geneontology.org/123/b>',
+		       'individual as object');
+    });
+
+    it('one reification for all the annotations of a fact', function(){
+
+	var reqs = new request_set('utoken', 'gomodel:123');
+	var fact = ['gomodel:123/a', 'gomodel:123/b', 'RO:0002333'];
+	reqs.add_annotation_to_fact('comment', ['x', 'y'], null, fact);
+
+	var ops = sparql_update(reqs).split(" ;\n");
+	assert.lengthOf(ops, 2, 'existing or new');
+	assert.include(ops[0], '?ax <http://www.w3.org/2000/01/rdf-schema#' +
+		       'comment> "x" ; <http://www.w3.org/2000/01/' +
+		       'rdf-schema#comment> "y" .', 'both values');
+	assert.lengthOf(ops[1].split('[ a <' + OWL + 'Axiom> ]'), 2,
+			'a single new axiom');
+	assert.include(ops[1], 'WHERE { ' + GRAPH + ' { FILTER NOT EXISTS',
+		       'only if there is none');
+    });
+
+    it('default minting is unique to the rendering and model', function(){
+
+	var reqs = new request_set('utoken', 'gomodel:123');
+	reqs.add_individual('UniProtKB:P12345', reqs.variable('gp'));
+
+	var iri_re = /<(http:\/\/model\.geneontology\.org\/123\/[^>]+)> a/;
+	var first = sparql_update(reqs).match(iri_re);
+	var second = sparql_update(reqs).match(iri_re);
+	assert.isNotNull(first, 'in the model');
+	assert.isNotNull(second, 'in the model');
+	assert.notEqual(first[1], second[1], 'a new one each time');
+	assert.notInclude(first[1], 'gp', 'not from the variable');
+    });
+
+    it('a new model needs an id', function(){
+
+	var reqs = new request_set('utoken');
+	reqs.add_model();
+	reqs.add_individual('GO:0003674');
+	assert.throws(function(){
+	    sparql_update(reqs);
+	}, /no model id for model add/);
+	var ops = sparql_update(reqs, {'model_id': 'gomodel:new'})
+		.split(" ;\n");
+	assert.equal(ops[0], 'CREATE SILENT GRAPH ' +
+		     '<http://model.geneontology.org/new>', 'graph created');
+    });
+
+    it('things that cannot be rendered', function(){
+
+	var reqs = new request_set('utoken', 'gomodel:123');
+	reqs.undo_last_model_batch();
+	assert.throws(function(){
+	    sparql_update(reqs);
+	}, /cannot render model undo/);
+
+	reqs = new request_set('utoken', 'gomodel:123');
+	reqs.add_annotation_to_model('flavor', 'red');
+	assert.throws(function(){
+	    sparql_update(reqs);
+	}, /no annotation property for key: flavor/);
+	assert.include(sparql_update(reqs, {
+	    'annotation_properties': {'flavor': 'http://example.org/flavor'}
+	}), '<http://example.org/flavor> "red"', 'extra properties');
+    });
+
+});
@@ -0,0 +1,375 @@
+////
+//// Some unit testing for sending request sets, against a local stub
+//// Barista.
+////
+
+var chai = require('chai');
+chai.config.includeStack = true;
+var assert = chai.assert;
+var http = require('http');
+var querystring = require('querystring');
+var minerva_requests = require('..');
+var request_set = minerva_requests.request_set;
+var transport = minerva_requests.transport;
+var adapters = minerva_requests.adapters;
+
+///
+/// Helpers.
+///
+
+// Start a stub server on a random local port; the handler gets the
+// request, the parsed form body, and the response.
+function _stub(handler, callback){
+    var server = http.createServer(function(req, res){
+	var chunks = [];
+	req.on('data', function(chunk){ chunks.push(chunk); });
+	req.on('end', function(){
+	    handler(req, querystring.parse(chunks.join('')), res);
+	});
+    });
+    server.listen(0, '127.0.0.1', function(){
+	callback(server, 'http://127.0.0.1:' + server.address().port);
+    });
+}
+
+// A plausible Minerva answer to whatever was asked.
+function _answer(res, status, body){
+    res.writeHead(status, {'Content-Type': 'application/json'});
+    res.end(JSON.stringify(body));
+}
+
+///
+/// Start unit testing.
+///
+
+describe('transport basics', function(){
+
+    it('urls', function(){
+	var t = new transport('http://localhost:3400/');
+	var priv = new request_set('utoken');
+	var anon = new request_set();
+	assert.equal(t.url(priv),
+		     'http://localhost:3400/api/minerva_local/m3BatchPrivileged',
+		     'privileged with token');
+	assert.equal(t.url(anon),
+		     'http://localhost:3400/api/minerva_local/m3Batch',
+		     'plain without');
+	assert.equal(t.url(priv, 'm3Batch'),
+		     'http://localhost:3400/api/minerva_local/m3Batch',
+		     'explicit');
+
+	var t2 = new transport('http://localhost:3400',
+			       {'namespace': 'minerva_public',
+				'endpoint': 'm3Batch'});
+	assert.equal(t2.url(priv),
+		     'http://localhost:3400/api/minerva_public/m3Batch',
+		     'configured');
+    });
+
+    it('bad construction', function(){
+	assert.throws(function(){ new transport(); }, Error);
+	assert.throws(function(){
+	    new transport('http://localhost', {'adapter': 'carrier-pigeon'});
+	}, Error);
+    });
+});
+
+describe('transport against a stub server', function(){
+
+    var server = null;
+    var base = null;
+    var seen = null;
+    var mode = null;
+
+    before(function(done){
+	_stub(function(req, form, res){
+	    seen = {'url': req.url, 'form': form};
+	    if( mode === 'ok' ){
+		_answer(res, 200, {
+		    'message-type': 'success',
+		    'message': 'success',
+		    'signal': 'meta',
+		    'intention': form['intention'],
+		    'data': {'id': 'mid:123'}
+		});
+	    }else if( mode === 'boom' ){
+		_answer(res, 503, {'message-type': 'error',
+				   'message': 'unavailable'});
+	    }else{
+		// Hang, let the client give up.
+	    }
+	}, function(s, b){
+	    server = s;
+	    base = b;
+	    done();
+	});
+    });
+
+    it('sends and parses', function(){
+	mode = 'ok';
+	var t = new transport(base, {'adapter': 'node'});
+	var reqs = new request_set('utoken', 'mid:123', false, ['foo:bar']);
+	reqs.get_model('mid:123');
+
+	return t.send(reqs).then(function(resp){
+	    assert.equal(seen['url'],
+			 '/api/minerva_local/m3BatchPrivileged', 'endpoint');
+	    assert.equal(seen['form']['token'], 'utoken', 'token');
+	    assert.equal(seen['form']['provided-by'], 'foo:bar', 'groups');
+	    var sent = JSON.parse(seen['form']['requests']);
+	    assert.equal(sent[0]['operation'], 'get', 'requests');
+
+	    assert.isTrue(resp.okay_p(), 'okay');
+	    assert.equal(resp.intention(), 'query', 'round trip');
+	    assert.equal(resp.model_id(), 'mid:123', 'data');
+	});
+    });
+
+    it('http errors', function(){
+	mode = 'boom';
+	var t = new transport(base);
+	var reqs = new request_set('utoken');
+	reqs.get_meta();
+
+	return t.send(reqs).then(function(){
+	    assert.fail('should not resolve');
+	}, function(err){
+	    assert.equal(err.reason, 'http', 'reason');
+	    assert.equal(err.status, 503, 'status');
+	    assert.equal(err.response.message(), 'unavailable', 'body');
+	});
+    });
+
+    it('timeouts', function(){
+	mode = 'hang';
+	var t = new transport(base, {'timeout': 50});
+	var reqs = new request_set('utoken');
+	reqs.get_meta();
+
+	return t.send(reqs).then(function(){
+	    assert.fail('should not resolve');
+	}, function(err){
+	    assert.equal(err.reason, 'timeout', 'reason');
+	});
+    });
+
+    it('cancellation', function(){
+	mode = 'hang';
+	var t = new transport(base);
+	var reqs = new request_set('utoken');
+	reqs.get_meta();
+
+	var p = t.send(reqs);
+	setTimeout(function(){ p.cancel(); }, 20);
+	return p.then(function(){
+	    assert.fail('should not resolve');
+	}, function(err){
+	    assert.equal(err.reason, 'cancelled', 'reason');
+	});
+    });
+
+    after(function(done){
+	server.close(done);
+    });
+});
+
+describe('transport without a server', function(){
+
+    it('network errors', function(){
+	// Grab a free port, then let it go.
+	var s = http.createServer();
+	return new Promise(function(resolve){
+	    s.listen(0, '127.0.0.1', function(){
+		var port = s.address().port;
+		s.close(function(){ resolve(port); });
+	    });
+	}).then(function(port){
+	    var t = new transport('http://127.0.0.1:' + port);
+	    var reqs = new request_set('utoken');
+	    reqs.get_meta();
+	    return t.send(reqs);
+	}).then(function(){
+	    assert.fail('should not resolve');
+	}, function(err){
+	    assert.equal(err.reason, 'network', 'reason');
+	});
+    });
+
+    it('fetch adapter', function(){
+
+	// Pretend fetch.
+	var fetched = null;
+	global.fetch = function(url, opts){
+	    fetched = {'url': url, 'opts': opts};
+	    return Promise.resolve({
+		'status': 200,
+		'text': function(){
+		    return Promise.resolve('{"message-type": "success"}');
+		}
+	    });
+	};
+
+	var t = new transport('http://barista', {'adapter': 'fetch'});
+	var reqs = new request_set();
+	reqs.get_meta();
+
+	return t.send(reqs).then(function(resp){
+	    delete global.fetch;
+	    assert.equal(fetched['url'],
+			 'http://barista/api/minerva_local/m3Batch', 'url');
+	    assert.equal(fetched['opts']['method'], 'POST', 'post');
+	    assert.isTrue(resp.okay_p(), 'okay');
+	});
+    });
+
+    it('custom adapters', function(){
+
+	var t = new transport('http://barista', {
+	    'adapter': function(req){
+		return {
+		    'promise': Promise.resolve({
+			'status': 200,
+			'body': JSON.stringify({'message-type': 'success',
+						'message': req['url']})
+		    }),
+		    'abort': function(){}
+		};
+	    }
+	});
+	var reqs = new request_set();
+	reqs.get_meta();
+
+	assert.isFunction(adapters['xhr'], 'xhr is there for browsers');
+	return t.send(reqs).then(function(resp){
+	    assert.equal(resp.message(),
+			 'http://barista/api/minerva_local/m3Batch', 'url');
+	});
+    });
+});
+
+describe('executing request sets with retries', function(){
+
+    // A transport whose adapter plays back a list of outcomes: a
+    // status and body, or null for a network error. Counts calls.
+    function _scripted(outcomes){
+	var t = new transport('http://barista', {
+	    'adapter': function(req){
+		t.calls++;
+		var next = outcomes.shift();
+		return {
+		    'promise': next === null ?
+			Promise.reject(new Error('connection reset')) :
+			Promise.resolve({'status': next[0],
+					 'body': JSON.stringify(next[1])}),
+		    'abort': function(){}
+		};
+	    }
+	});
+	t.calls = 0;
+	return t;
+    }
+    var ok = [200, {'message-type': 'success', 'message': 'success'}];
+    var boom = [503, {'message-type': 'error', 'message': 'unavailable'}];
+    var exc = [200, {'message-type': 'error', 'message': 'oops',
+		     'commentary': {'exceptionType': 'NullPointerException'}}];
+    var auth = [200, {'message-type': 'error',
+		      'message': 'Insufficient permissions'}];
+
+    function _query(){
+	var reqs = new request_set('utoken', 'mid:123');
+	reqs.get_model();
+	return reqs;
+    }
+
+    it('retries queries with growing delays', function(){
+	var t = _scripted([null, boom, exc, ok]);
+	var waits = [];
+	return _query().execute(t, {
+	    'delay': 1,
+	    'on_retry': function(attempt, outcome, wait){ waits.push(wait); }
+	}).then(function(resp){
+	    assert.isTrue(resp.okay_p(), 'got there in the end');
+	    assert.equal(t.calls, 4, 'four tries');
+	    assert.deepEqual(waits, [1, 2, 4], 'exponential backoff');
+	});
+    });
+
+    it('gives up after the last retry', function(){
+	var t = _scripted([boom, boom, boom]);
+	return _query().execute(t, {'delay': 1, 'retries': 2}).then(function(){
+	    assert.fail('should not resolve');
+	}, function(err){
+	    assert.equal(err.reason, 'http', 'reason');
+	    assert.equal(err.status, 503, 'status');
+	    assert.equal(err.attempts, 3, 'attempts');
+	    assert.equal(t.calls, 3, 'three tries');
+	});
+    });
+
+    it('does not retry authentication or bad requests', function(){
+	var t = _scripted([auth, ok]);
+	return _query().execute(t, {'delay': 1}).then(function(resp){
+	    assert.equal(resp.error_type(), 'authentication', 'auth error');
+	    assert.equal(t.calls, 1, 'once');
+	    var t2 = _scripted([[400, {}], ok]);
+	    return _query().execute(t2, {'delay': 1}).then(function(){
+		assert.fail('should not resolve');
+	    }, function(err){
+		assert.equal(err.status, 400, 'bad request');
+		assert.equal(t2.calls, 1, 'once');
+	    });
+	});
+    });
+
+    it('only retries actions when they are idempotent', function(){
+	var reqs = new request_set('utoken', 'mid:123');
+	reqs.add_individual('GO:0003674');
+	var t = _scripted([null, ok]);
+	return reqs.execute(t, {'delay': 1}).then(function(){
+	    assert.fail('should not resolve');
+	}, function(err){
+	    assert.equal(err.reason, 'network', 'reason');
+	    assert.equal(t.calls, 1, 'not sent twice');
+
+	    var t2 = _scripted([null, ok]);
+	    return reqs.execute(t2, {'delay': 1, 'idempotent': true});
+	}).then(function(resp){
+	    assert.isTrue(resp.okay_p(), 'retried when allowed');
+	});
+    });
+
+    it('can be cancelled between tries', function(){
+	var t = _scripted([boom, ok]);
+	var p = _query().execute(t, {
+	    'delay': 200,
+	    'on_retry': function(){ p.cancel(); }
+	});
+	return p.then(function(){
+	    assert.fail('should not resolve');
+	}, function(err){
+	    assert.equal(err.reason, 'cancelled', 'reason');
+	    return new Promise(function(resolve){ setTimeout(resolve, 300); });
+	}).then(function(){
+	    assert.equal(t.calls, 1, 'no second try, even later');
+	});
+    });
+
+    it('stops if the retry callback throws', function(){
+	var t = _scripted([boom, ok]);
+	return _query().execute(t, {
+	    'delay': 1,
+	    'on_retry': function(){ throw new Error('no more'); }
+	}).then(function(){
+	    assert.fail('should not resolve');
+	}, function(err){
+	    assert.equal(err.message, 'no more', 'callback error');
+	    assert.equal(err.attempts, 1, 'attempts');
+	    assert.equal(t.calls, 1, 'no second try');
+	});
+    });
+
+    it('needs a client', function(){
+	assert.throws(function(){ _query().execute({}); },
+		      /needs a client/);
+    });
+});